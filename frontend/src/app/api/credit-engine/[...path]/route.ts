@@ -0,0 +1,43 @@
+import { NextRequest, NextResponse } from 'next/server';
+
+// Server-side only: the key never reaches the browser bundle
+const API_BASE = process.env.CREDIT_ENGINE_API_URL || 'http://localhost:3000';
+const API_KEY = process.env.CREDIT_ENGINE_API_KEY || '';
+
+// The calls the dashboard makes. Anything else is refused, so the proxy does
+// not hand out the rest of what the key is allowed to do.
+const ALLOWED_ROUTES: { method: string; path: RegExp }[] = [
+  { method: 'GET', path: /^\/api\/action-types$/ },
+  { method: 'GET', path: /^\/api\/credits\/system\/stats$/ },
+  { method: 'GET', path: /^\/api\/credits\/[^/]+$/ },
+  { method: 'POST', path: /^\/api\/enroll$/ }
+];
+
+async function proxy(request: NextRequest, { params }: { params: { path: string[] } }) {
+  const path = '/' + params.path.map(segment => encodeURIComponent(segment)).join('/');
+
+  if (!ALLOWED_ROUTES.some(route => route.method === request.method && route.path.test(path))) {
+    return NextResponse.json({ success: false, error: 'Not available from the dashboard' }, { status: 404 });
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}${path}${request.nextUrl.search}`, {
+      method: request.method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`
+      },
+      body: request.method === 'GET' ? undefined : await request.text(),
+      cache: 'no-store'
+    });
+
+    return new NextResponse(await response.text(), {
+      status: response.status,
+      headers: { 'Content-Type': response.headers.get('Content-Type') || 'application/json' }
+    });
+  } catch (error) {
+    return NextResponse.json({ success: false, error: 'Credit engine API unreachable' }, { status: 502 });
+  }
+}
+
+export { proxy as GET, proxy as POST };
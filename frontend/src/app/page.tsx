@@ -12,7 +12,8 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Loader2, TrendingUp, Users, CreditCard, Activity, UserPlus, Search, BarChart3 } from 'lucide-react';
 
-const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
+// Requests go through the dashboard's own server route, which adds the API key
+const API_BASE = '/api/credit-engine';
 
 interface ApiResponse {
   success: boolean;
@@ -20,6 +21,12 @@ interface ApiResponse {
   [key: string]: any;
 }
 
+interface ActionTypeOption {
+  value: string;
+  label: string;
+  bonus: string;
+}
+
 interface SystemStats {
   totalCredits: number;
   totalEvents: number;
@@ -33,12 +40,13 @@ export default function Dashboard() {
   const [enrollResponse, setEnrollResponse] = useState<ApiResponse | null>(null);
   const [creditsResponse, setCreditsResponse] = useState<ApiResponse | null>(null);
   const [systemStats, setSystemStats] = useState<SystemStats | null>(null);
+  const [actionTypes, setActionTypes] = useState<ActionTypeOption[]>([]);
 
   // Form states
   const [enrollForm, setEnrollForm] = useState({
     userId: '',
     referrerId: '',
-    creditsAwarded: 100,
+    spendAmount: '',
     actionType: 'enrollment'
   });
 
@@ -48,15 +56,6 @@ export default function Dashboard() {
     includeReferrals: false
   });
 
-  const actionTypes = [
-    { value: 'enrollment', label: 'Enrollment (20% referral bonus)', bonus: '20%' },
-    { value: 'social_post', label: 'Social Post (10% referral bonus)', bonus: '10%' },
-    { value: 'tech_module', label: 'Tech Module (15% referral bonus)', bonus: '15%' },
-    { value: 'spend_multiplier', label: 'Spend Multiplier (25% referral bonus)', bonus: '25%' },
-    { value: 'coffee_wall', label: 'Coffee Wall (5% referral bonus)', bonus: '5%' },
-    { value: 'other', label: 'Other (10% referral bonus)', bonus: '10%' }
-  ];
-
   // API call function
   const makeRequest = async (method: string, endpoint: string, data?: any): Promise<ApiResponse> => {
     setLoading(true);
@@ -83,10 +82,14 @@ export default function Dashboard() {
   // Handle enrollment
   const handleEnroll = async (e: React.FormEvent) => {
     e.preventDefault();
-    const data = { ...enrollForm };
+    // Credits are computed server-side from the action type's rule
+    const { spendAmount, ...data } = enrollForm;
     if (!data.referrerId.trim()) {
       delete (data as any).referrerId;
     }
+    if (spendAmount) {
+      (data as any).metadata = { spendAmount: parseFloat(spendAmount) };
+    }
     
     const result = await makeRequest('POST', '/api/enroll', data);
     setEnrollResponse(result);
@@ -123,10 +126,21 @@ export default function Dashboard() {
     }
   };
 
+  // Load action types from the server-side registry
+  const loadActionTypes = async () => {
+    const result = await makeRequest('GET', '/api/action-types');
+    if (result.success) {
+      setActionTypes(result.actionTypes.map((type: { key: string; label: string; referralMultiplier: number }) => {
+        const bonus = `${Math.round(type.referralMultiplier * 100)}%`;
+        return { value: type.key, label: `${type.label} (${bonus} referral bonus)`, bonus };
+      }));
+    }
+  };
+
   // Quick test functions
   const quickTest1 = async () => {
     const randomId = 'testuser_' + Math.random().toString(36).substr(2, 9);
-    const data = { userId: randomId, creditsAwarded: 100, actionType: 'enrollment' };
+    const data = { userId: randomId, actionType: 'enrollment' };
     const result = await makeRequest('POST', '/api/enroll', data);
     setEnrollResponse(result);
     setEnrollForm({ ...enrollForm, userId: randomId });
@@ -138,7 +152,6 @@ export default function Dashboard() {
     const referrerId = 'referrer_' + Math.random().toString(36).substr(2, 9);
     await makeRequest('POST', '/api/enroll', {
       userId: referrerId,
-      creditsAwarded: 100,
       actionType: 'enrollment'
     });
 
@@ -147,7 +160,6 @@ export default function Dashboard() {
     const result = await makeRequest('POST', '/api/enroll', {
       userId,
       referrerId,
-      creditsAwarded: 150,
       actionType: 'enrollment'
     });
     
@@ -165,23 +177,24 @@ export default function Dashboard() {
 
   const quickTest3 = async () => {
     const randomId = 'social_' + Math.random().toString(36).substr(2, 9);
-    const data = { userId: randomId, creditsAwarded: 50, actionType: 'social_post' };
+    const data = { userId: randomId, actionType: 'social_post' };
     const result = await makeRequest('POST', '/api/enroll', data);
     setEnrollResponse(result);
-    setEnrollForm({ ...enrollForm, userId: randomId, creditsAwarded: 50, actionType: 'social_post' });
+    setEnrollForm({ ...enrollForm, userId: randomId, actionType: 'social_post' });
     if (result.success) loadSystemStats();
   };
 
   const clearResults = () => {
     setEnrollResponse(null);
     setCreditsResponse(null);
-    setEnrollForm({ userId: '', referrerId: '', creditsAwarded: 100, actionType: 'enrollment' });
+    setEnrollForm({ userId: '', referrerId: '', spendAmount: '', actionType: 'enrollment' });
     setLookupForm({ userId: '', includeEvents: false, includeReferrals: false });
   };
 
-  // Load initial stats
+  // Load initial stats and action types
   useEffect(() => {
     loadSystemStats();
+    loadActionTypes();
   }, []);
 
   return (
@@ -295,13 +308,14 @@ export default function Dashboard() {
                     </div>
                     
                     <div>
-                      <Label htmlFor="creditsAwarded">Credits to Award</Label>
+                      <Label htmlFor="spendAmount">Spend Amount (spend multiplier only)</Label>
                       <Input
-                        id="creditsAwarded"
+                        id="spendAmount"
                         type="number"
-                        min="1"
-                        value={enrollForm.creditsAwarded}
-                        onChange={(e) => setEnrollForm({ ...enrollForm, creditsAwarded: parseInt(e.target.value) })}
+                        min="0"
+                        placeholder="e.g., 25"
+                        value={enrollForm.spendAmount}
+                        onChange={(e) => setEnrollForm({ ...enrollForm, spendAmount: e.target.value })}
                       />
                     </div>
                     
@@ -1,8 +1,14 @@
 // Demo script to populate the credit-engine with sample data
 const API_BASE = 'http://localhost:3000';
 
-async function runDemo() {
+// apiKey needs the credits:read, credits:write and admin scopes
+async function runDemo(apiKey) {
     console.log('🚀 Starting Credit Engine Demo...');
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+    };
     
     const users = [
         { id: 'alice_smith', name: 'Alice Smith' },
@@ -12,12 +18,13 @@ async function runDemo() {
         { id: 'eve_adams', name: 'Eve Adams' }
     ];
 
+    // Credits are computed server-side from each action type's rule
     const actions = [
-        { type: 'enrollment', credits: 100 },
-        { type: 'social_post', credits: 25 },
-        { type: 'tech_module', credits: 75 },
-        { type: 'spend_multiplier', credits: 200 },
-        { type: 'coffee_wall', credits: 10 }
+        { type: 'enrollment' },
+        { type: 'social_post' },
+        { type: 'tech_module' },
+        { type: 'spend_multiplier', metadata: { spendAmount: 200 } },
+        { type: 'coffee_wall' }
     ];
 
     try {
@@ -26,10 +33,9 @@ async function runDemo() {
         for (const user of users.slice(0, 3)) {
             const response = await fetch(`${API_BASE}/api/enroll`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify({
                     userId: user.id,
-                    creditsAwarded: 100,
                     actionType: 'enrollment'
                 })
             });
@@ -43,11 +49,10 @@ async function runDemo() {
             const referrerId = users[Math.floor(Math.random() * 3)].id;
             const response = await fetch(`${API_BASE}/api/enroll`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify({
                     userId: user.id,
                     referrerId: referrerId,
-                    creditsAwarded: 150,
                     actionType: 'enrollment'
                 })
             });
@@ -66,20 +71,20 @@ async function runDemo() {
             
             const response = await fetch(`${API_BASE}/api/enroll`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers,
                 body: JSON.stringify({
                     userId: user.id,
-                    creditsAwarded: action.credits,
-                    actionType: action.type
+                    actionType: action.type,
+                    metadata: action.metadata
                 })
             });
             const result = await response.json();
-            console.log(`📊 ${user.name}: ${action.type} (+${action.credits} credits)`);
+            console.log(`📊 ${user.name}: ${action.type} (+${result.creditsAwarded} credits)`);
         }
 
         // Step 4: Show final stats
         console.log('\n📈 Final System Statistics:');
-        const statsResponse = await fetch(`${API_BASE}/api/credits/system/stats`);
+        const statsResponse = await fetch(`${API_BASE}/api/credits/system/stats`, { headers });
         const stats = await statsResponse.json();
         
         console.log(`Total Credits Awarded: ${stats.totalCredits}`);
@@ -90,7 +95,7 @@ async function runDemo() {
         // Step 5: Show sample user details
         console.log('\n👤 Sample User Details:');
         const sampleUser = users[0].id;
-        const userResponse = await fetch(`${API_BASE}/api/credits/${sampleUser}?includeReferrals=true`);
+        const userResponse = await fetch(`${API_BASE}/api/credits/${sampleUser}?includeReferrals=true`, { headers });
         const userDetails = await userResponse.json();
         
         console.log(`${sampleUser}:`);
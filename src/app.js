@@ -4,10 +4,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/database');
+const { listActionTypes } = require('./services/actionTypeService');
+const { startWebhookWorker } = require('./services/webhookService');
+const { startExpiryWorker } = require('./services/expiryService');
+const { authenticate, requireScope, requireMethodScope } = require('./middleware/auth');
+const ApiKey = require('./models/ApiKey');
 
 // Import routes
 const enrollRoutes = require('./routes/enroll');
 const creditsRoutes = require('./routes/credits');
+const actionTypesRoutes = require('./routes/actionTypes');
+const leaderboardRoutes = require('./routes/leaderboard');
+const analyticsRoutes = require('./routes/analytics');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,44 +71,96 @@ app.get('/health', (req, res) => {
 });
 
 // API Info endpoint
-app.get('/api', (req, res) => {
+app.get('/api', async (req, res, next) => {
+  let actionTypes;
+  try {
+    actionTypes = await listActionTypes({ includeInternal: true });
+  } catch (error) {
+    return next(error);
+  }
+
   res.json({
     success: true,
     service: 'Credit Engine API',
     description: 'Lightweight API that issues and tracks thank-you credits for ecosystem interactions',
     version: '1.0.0',
+    authentication: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
+    scopes: ApiKey.SCOPES,
     endpoints: {
       enrollment: {
         'POST /api/enroll': 'Enroll user and award credits with optional referral bonus',
         'POST /api/enroll/batch': 'Batch enrollment for multiple users'
       },
       credits: {
-        'GET /api/credits/:userId': 'Get user credit totals and summary',
-        'GET /api/credits/:userId/events': 'Get paginated credit events for user',
+        'GET /api/credits/:userId': 'Get user credit totals and summary, optionally as of a past date',
+        'GET /api/credits/:userId/events': 'Get cursor-paginated credit events for user',
+        'GET /api/credits/events': 'List credit events across all users (admin)',
+        'GET /api/credits/export': 'Stream ledger events as CSV or NDJSON (admin)',
+        'POST /api/credits/import': 'Import credit events from JSON or CSV, with a dry-run report (admin)',
         'GET /api/credits/:userId/referrals': 'Get referral bonus summary for user',
+        'GET /api/credits/:userId/referrals/tree': 'Get the users a user referred, down to a configurable depth, and their referrer',
+        'GET /api/credits/:userId/tier': 'Get a user\'s membership tier, progress to the next tier and tier history',
+        'GET /api/credits/:userId/badges': 'Get the badges a user earned and their progress towards the others',
+        'GET /api/credits/:userId/statement': 'Get a user\'s statement for a period as JSON, CSV or printable HTML',
         'POST /api/credits': 'Award credits for various actions',
+        'POST /api/credits/:userId/redeem': 'Redeem credits from a user\'s available balance',
+        'POST /api/credits/transfer': 'Send credits from one user to another with a note',
+        'POST /api/credits/events/:eventId/reverse': 'Reverse a credit event, optionally with its referral bonus',
         'GET /api/credits/system/stats': 'Get system-wide statistics'
       },
+      actionTypes: {
+        'GET /api/action-types': 'List the action types that can be awarded'
+      },
+      leaderboard: {
+        'GET /api/leaderboard': 'Rank users by credits for a period, action type or referrals',
+        'GET /api/leaderboard/:userId': 'Get a single user\'s rank'
+      },
+      analytics: {
+        'GET /api/analytics/timeseries': 'Credits and event counts bucketed by hour, day, week or month'
+      },
+      admin: {
+        'GET /api/admin/action-types': 'List every action type in the registry',
+        'POST /api/admin/action-types': 'Add an action type',
+        'PATCH /api/admin/action-types/:key': 'Update an action type',
+        'GET /api/admin/api-keys': 'List API keys',
+        'POST /api/admin/api-keys': 'Create an API key with scopes',
+        'DELETE /api/admin/api-keys/:keyId': 'Revoke an API key',
+        'GET /api/admin/campaigns': 'List promotional campaigns',
+        'POST /api/admin/campaigns': 'Create a campaign boosting credits for a period',
+        'GET /api/admin/campaigns/:campaignId': 'Get a campaign and its remaining budget',
+        'PATCH /api/admin/campaigns/:campaignId': 'Update or stop a campaign',
+        'GET /api/admin/campaigns/:campaignId/report': 'Campaign performance report',
+        'GET /api/admin/referral-holds': 'Review queue of referral bonuses held as suspicious',
+        'GET /api/admin/referral-holds/:holdId': 'Get a held referral bonus and its fraud signals',
+        'POST /api/admin/referral-holds/:holdId/approve': 'Approve a held bonus and award it',
+        'POST /api/admin/referral-holds/:holdId/reject': 'Reject a held bonus',
+        'GET /api/admin/tiers': 'List membership tiers',
+        'PUT /api/admin/tiers': 'Replace the membership tier ladder',
+        'GET /api/admin/webhooks': 'List webhook subscriptions',
+        'POST /api/admin/webhooks': 'Register a webhook subscription',
+        'PATCH /api/admin/webhooks/:subscriptionId': 'Update a webhook subscription',
+        'DELETE /api/admin/webhooks/:subscriptionId': 'Delete a webhook subscription',
+        'GET /api/admin/webhooks/deliveries': 'Webhook delivery log',
+        'GET /api/admin/webhooks/:subscriptionId/deliveries': 'Delivery log for one subscription',
+        'POST /api/admin/webhooks/deliveries/:deliveryId/retry': 'Retry a failed delivery'
+      },
       utility: {
         'GET /health': 'Health check endpoint',
         'GET /api': 'API information'
       }
     },
-    actionTypes: [
-      'enrollment',
-      'referral_bonus', 
-      'social_post',
-      'tech_module',
-      'spend_multiplier',
-      'coffee_wall',
-      'other'
-    ]
+    actionTypes: actionTypes.map(actionType => actionType.key)
   });
 });
 
-// API Routes
-app.use('/api/enroll', enrollRoutes);
-app.use('/api/credits', creditsRoutes);
+// API Routes, every one of them requires an API key with the matching scope
+app.use('/api/enroll', authenticate, requireScope('credits:write'), enrollRoutes);
+app.use('/api/credits/system', authenticate, requireScope('admin'));
+app.use('/api/credits', authenticate, requireMethodScope('credits:read', 'credits:write'), creditsRoutes);
+app.use('/api/action-types', authenticate, requireScope('credits:read'), actionTypesRoutes);
+app.use('/api/leaderboard', authenticate, requireScope('credits:read'), leaderboardRoutes);
+app.use('/api/analytics', authenticate, requireScope('credits:read'), analyticsRoutes);
+app.use('/api/admin', authenticate, requireScope('admin'), adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -181,6 +242,12 @@ app.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`API info: http://localhost:${PORT}/`);
+
+  // Retry webhook deliveries whose backoff has elapsed
+  startWebhookWorker();
+
+  // Expire credits past their expiry date
+  startExpiryWorker();
 });
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,39 @@
+// Badges awarded automatically from ledger activity. Each badge has a rule
+// measured over the user's CreditEvent history:
+//   event_count    - `count` events of `actionType` that were not reversed
+//   referral_count - `count` distinct referred users who earned the user a direct referral bonus
+//   streak_days    - a current activity streak of `days` days, as tracked by the streak service
+//                    (STREAK_ACTION_TYPES, STREAK_TIMEZONE, STREAK_GRACE_DAYS), for `actionType`
+//                    or any tracked action type
+// bonusCredits, when above 0, are awarded as a badge_bonus event when the badge is earned.
+// Badges are never taken back, even if the events that earned them are reversed.
+module.exports = [
+  {
+    key: 'first_tech_module',
+    name: 'First Tech Module',
+    description: 'Completed a first technical module',
+    rule: { type: 'event_count', actionType: 'tech_module', count: 1 },
+    bonusCredits: 0
+  },
+  {
+    key: 'coffee_regular',
+    name: 'Coffee Regular',
+    description: '10 coffee wall actions',
+    rule: { type: 'event_count', actionType: 'coffee_wall', count: 10 },
+    bonusCredits: 25
+  },
+  {
+    key: 'connector',
+    name: 'Connector',
+    description: '5 successful referrals',
+    rule: { type: 'referral_count', count: 5 },
+    bonusCredits: 50
+  },
+  {
+    key: 'streak_30',
+    name: '30-Day Streak',
+    description: 'Active 30 days in a row',
+    rule: { type: 'streak_days', days: 30 },
+    bonusCredits: 100
+  }
+]; 
\ No newline at end of file
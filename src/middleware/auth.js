@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { verifyApiKey } = require('../services/apiKeyService');
+
+// Key id recorded for requests authenticated with ADMIN_API_TOKEN
+const BOOTSTRAP_KEY_ID = 'bootstrap';
+
+/**
+ * Reads the API key from the Authorization (Bearer) or X-API-Key header
+ * @param {Object} req - Express request
+ * @returns {string|null} - API key, or null if none was sent
+ */
+function readApiKey(req) {
+  const authorization = req.get('Authorization');
+
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Whether a key is the ADMIN_API_TOKEN used to bootstrap the first API keys
+ * @param {string} key - API key from the request
+ * @returns {boolean}
+ */
+function isBootstrapToken(key) {
+  const expected = process.env.ADMIN_API_TOKEN;
+
+  if (!expected) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(key);
+
+  return expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+/**
+ * Authenticates the request's API key and attaches it as req.apiKey
+ */
+async function authenticate(req, res, next) {
+  if (req.apiKey) {
+    return next();
+  }
+
+  try {
+    const key = readApiKey(req);
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required'
+      });
+    }
+
+    if (isBootstrapToken(key)) {
+      req.apiKey = { keyId: BOOTSTRAP_KEY_ID, name: 'ADMIN_API_TOKEN', scopes: ['admin'] };
+      return next();
+    }
+
+    const apiKey = await verifyApiKey(key);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or revoked API key'
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Whether the authenticated key has a scope. The admin scope grants every scope.
+ * @param {Object} req - Express request
+ * @param {string} scope - Required scope
+ * @returns {boolean}
+ */
+function hasScope(req, scope) {
+  const scopes = req.apiKey ? req.apiKey.scopes : [];
+  return scopes.includes('admin') || scopes.includes(scope);
+}
+
+/**
+ * Creates middleware rejecting requests whose key lacks a scope
+ * @param {string} scope - Required scope
+ * @returns {Function} - Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing the ${scope} scope`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Creates middleware requiring a read scope for GET requests and a write scope otherwise
+ * @param {string} readScope - Scope required for GET and HEAD requests
+ * @param {string} writeScope - Scope required for every other method
+ * @returns {Function} - Express middleware
+ */
+function requireMethodScope(readScope, writeScope) {
+  const requireRead = requireScope(readScope);
+  const requireWrite = requireScope(writeScope);
+
+  return (req, res, next) => {
+    const handler = req.method === 'GET' || req.method === 'HEAD' ? requireRead : requireWrite;
+    handler(req, res, next);
+  };
+}
+
+/**
+ * Whether a request comes from a privileged caller, allowed to supply
+ * credit amounts instead of having them computed by the award rules
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isPrivilegedRequest(req) {
+  return hasScope(req, 'credits:override');
+}
+
+module.exports = {
+  authenticate,
+  hasScope,
+  requireScope,
+  requireMethodScope,
+  isPrivilegedRequest
+}; 
\ No newline at end of file
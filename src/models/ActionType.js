@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const actionTypeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[a-z][a-z0-9_]*$/
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  defaultCredits: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  referralMultiplier: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // How the server computes the credits for an event of this type.
+  // 'fixed' awards defaultCredits, 'metadata_multiplier' awards metadata[metadataField] x multiplier.
+  rule: {
+    type: {
+      type: String,
+      enum: ['fixed', 'metadata_multiplier'],
+      default: 'fixed'
+    },
+    metadataField: {
+      type: String,
+      default: null
+    },
+    multiplier: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    min: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    max: {
+      type: Number,
+      default: null,
+      min: 0
+    }
+  },
+  // Limits on the credits awarded for this type, null means unlimited.
+  // Per-user windows and globalPerDay are UTC calendar days/weeks; globalTotal is a lifetime budget.
+  caps: {
+    perUserPerDay: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    perUserPerWeek: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    globalPerDay: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    globalTotal: {
+      type: Number,
+      default: null,
+      min: 0
+    }
+  },
+  // Days before credits of this type expire; null uses CREDIT_EXPIRY_DAYS, 0 never expires
+  expiryDays: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Internal types are written by the ledger itself (bonuses, debits) and cannot be awarded through the API
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const ActionType = mongoose.model('ActionType', actionTypeSchema);
+
+module.exports = ActionType; 
\ No newline at end of file
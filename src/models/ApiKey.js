@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['credits:read', 'credits:write', 'credits:override', 'admin'];
+
+const apiKeySchema = new mongoose.Schema({
+  // Public identifier, embedded in the key and recorded on credit events for attribution
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key, the key itself is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Credits awarded within one cap window, e.g. one user's coffee_wall credits
+// on one day. Keys are built by awardCapService; counters are incremented in
+// the same transaction as the events they count.
+const awardUsageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  credits: {
+    type: Number,
+    default: 0
+  },
+  // Counters for finished windows are removed by MongoDB; lifetime budgets never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+});
+
+awardUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AwardUsage = mongoose.model('AwardUsage', awardUsageSchema);
+
+module.exports = AwardUsage; 
\ No newline at end of file
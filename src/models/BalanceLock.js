@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Short-lived per-user lock used to serialise balance-reducing operations
+// (redemptions) so concurrent requests cannot overdraw a balance
+const balanceLockSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB clean up locks abandoned by crashed processes
+balanceLockSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 0 });
+
+const BalanceLock = mongoose.model('BalanceLock', balanceLockSchema);
+
+module.exports = BalanceLock; 
\ No newline at end of file
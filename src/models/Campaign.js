@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Time-bounded promotion boosting the credits awarded for some action types,
+// e.g. double credits for tech modules this week
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Action types the campaign boosts, empty boosts every awardable type
+  actionTypes: {
+    type: [String],
+    default: []
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  // Applied to the rule-computed credits, then flatBonus is added
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  flatBonus: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Restricts the campaign to some users, or to events whose metadata has all the given values
+  segment: {
+    userIds: {
+      type: [String],
+      default: []
+    },
+    metadata: {
+      type: Object,
+      default: null
+    }
+  },
+  // Most extra credits the campaign can give out, null means unlimited
+  budget: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  creditsSpent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // API key that created the campaign
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+module.exports = Campaign; 
\ No newline at end of file
@@ -1,20 +1,41 @@
 const mongoose = require('mongoose');
 
+// Action types that remove credits from a user's balance. Their entries are
+// stored with a negative creditsAwarded so ledger sums give the net balance.
+const DEBIT_ACTION_TYPES = ['redemption', 'expiration', 'transfer_out'];
+
+// Paired entries moving credits between users. They change balances but are
+// not credits earned, so they do not count towards tiers, badges or leaderboards.
+const TRANSFER_ACTION_TYPES = ['transfer_out', 'transfer_in'];
+
 const creditEventSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true,
     index: true
   },
+  // Key of a record in the ActionType registry
   actionType: {
     type: String,
     required: true,
-    enum: ['enrollment', 'referral_bonus', 'social_post', 'tech_module', 'spend_multiplier', 'coffee_wall', 'other']
+    match: /^[a-z][a-z0-9_]*$/
   },
   creditsAwarded: {
     type: Number,
     required: true,
-    min: 0
+    validate: {
+      validator: function(value) {
+        // Reversal entries carry the opposite sign of the entry they compensate
+        const isDebit = DEBIT_ACTION_TYPES.includes(this.actionType) !== !!this.reversalOf;
+        return isDebit ? value <= 0 : value >= 0;
+      },
+      message: 'Debit entries must be negative and credit entries non-negative'
+    }
+  },
+  // How creditsAwarded was computed (award rule inputs, or a privileged override)
+  awardBreakdown: {
+    type: Object,
+    default: null
   },
   referrerBonus: {
     type: Number,
@@ -25,6 +46,43 @@ const creditEventSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Referral bonus event paid to the referrer for this event
+  referralBonusEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null
+  },
+  // Event that triggered this one (set on referral bonus events)
+  sourceEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null,
+    index: true
+  },
+  // Referral bonus events only: 1 when paid to the direct referrer, 2 to their referrer, and so on
+  referralLevel: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Campaign that boosted this award, see awardBreakdown.campaign for the extra credits
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  // Event this entry compensates. Reversals keep the original actionType with the amount negated.
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null
+  },
+  // Reversal entry that compensated this event
+  reversedByEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -32,14 +90,43 @@ const creditEventSchema = new mongoose.Schema({
   metadata: {
     type: Object,
     default: {}
+  },
+  // API key that recorded the event, for attribution
+  apiKeyId: {
+    type: String,
+    default: null
+  },
+  idempotencyKey: {
+    type: String
+  },
+  requestHash: {
+    type: String
   }
 }, {
   timestamps: true
 });
 
 // Index for efficient queries
-creditEventSchema.index({ userId: 1, timestamp: -1 });
+// The _id tie-break supports cursor pagination of event listings
+creditEventSchema.index({ userId: 1, timestamp: -1, _id: -1 });
+creditEventSchema.index({ timestamp: -1, _id: -1 });
 creditEventSchema.index({ referrerId: 1, timestamp: -1 });
+creditEventSchema.index(
+  { campaignId: 1, timestamp: -1 },
+  { partialFilterExpression: { campaignId: { $type: 'objectId' } } }
+);
+// An event can only be reversed once
+creditEventSchema.index(
+  { reversalOf: 1 },
+  { unique: true, partialFilterExpression: { reversalOf: { $type: 'objectId' } } }
+);
+creditEventSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+creditEventSchema.statics.DEBIT_ACTION_TYPES = DEBIT_ACTION_TYPES;
+creditEventSchema.statics.TRANSFER_ACTION_TYPES = TRANSFER_ACTION_TYPES;
 
 const CreditEvent = mongoose.model('CreditEvent', creditEventSchema);
 
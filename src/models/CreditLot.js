@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Credits earned by one CreditEvent, tracked so that spending and expiry
+// consume a user's oldest credits first. Like UserBalance, lots are a
+// projection of the ledger kept in step with every write.
+const creditLotSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  // Event that earned the credits
+  sourceEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    required: true
+  },
+  actionType: {
+    type: String,
+    required: true
+  },
+  credits: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Credits not yet spent, reversed or expired
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  earnedAt: {
+    type: Date,
+    required: true
+  },
+  // null when the credits never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Debit entries that drew on the lot, so reversing one can put the credits back
+  consumptions: [{
+    _id: false,
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditEvent'
+    },
+    credits: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Oldest open lots first, for spending
+creditLotSchema.index({ userId: 1, earnedAt: 1, _id: 1 }, { partialFilterExpression: { remaining: { $gt: 0 } } });
+// Open lots past their expiry, for the sweep
+creditLotSchema.index({ expiresAt: 1 }, { partialFilterExpression: { remaining: { $gt: 0 } } });
+creditLotSchema.index({ 'consumptions.eventId': 1 });
+// One lot per event, except that a transfer opens one per expiry date of the credits sent
+creditLotSchema.index({ sourceEventId: 1, expiresAt: 1 }, { unique: true });
+
+const CreditLot = mongoose.model('CreditLot', creditLotSchema);
+
+module.exports = CreditLot; 
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const FRAUD_SIGNALS = ['referral_ring', 'referral_velocity', 'shared_fingerprint'];
+
+const fraudSignalSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    enum: FRAUD_SIGNALS,
+    required: true
+  },
+  detail: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// Referral bonus withheld because the referral looked fraudulent. Nothing is
+// written to the ledger until an admin approves it.
+const referralHoldSchema = new mongoose.Schema({
+  referrerId: {
+    type: String,
+    required: true
+  },
+  // User whose action triggered the bonus
+  referredUserId: {
+    type: String,
+    required: true
+  },
+  // Credit event of the referred user that triggered the bonus
+  sourceEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    required: true
+  },
+  actionType: {
+    type: String,
+    required: true
+  },
+  baseCredits: {
+    type: Number,
+    required: true
+  },
+  bonusCredits: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  signals: {
+    type: [fraudSignalSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // API key that recorded the triggering event
+  apiKeyId: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null
+  },
+  // Referral bonus event written when the hold was approved
+  releasedEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+referralHoldSchema.index({ status: 1, createdAt: -1 });
+referralHoldSchema.index({ referrerId: 1, createdAt: -1 });
+referralHoldSchema.index({ sourceEventId: 1 }, { unique: true });
+
+referralHoldSchema.statics.FRAUD_SIGNALS = FRAUD_SIGNALS;
+
+const ReferralHold = mongoose.model('ReferralHold', referralHoldSchema);
+
+module.exports = ReferralHold; 
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One step of the membership ladder. A user holds the highest tier whose
+// minCredits they reached within the rolling window (TIER_WINDOW_DAYS).
+const tierSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[a-z][a-z0-9_]*$/
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  minCredits: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Applied to rule-computed credits for users holding the tier
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, {
+  timestamps: true
+});
+
+const Tier = mongoose.model('Tier', tierSchema);
+
+module.exports = Tier; 
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// History of a user's moves between tiers
+const tierChangeSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  fromTier: {
+    type: String,
+    default: null
+  },
+  toTier: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['upgrade', 'downgrade'],
+    required: true
+  },
+  // Credits in the rolling window when the change was detected
+  windowCredits: {
+    type: Number,
+    required: true
+  },
+  // Event whose credits triggered an upgrade; downgrades are found when credits leave the window
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+tierChangeSchema.index({ userId: 1, createdAt: -1 });
+
+const TierChange = mongoose.model('TierChange', tierChangeSchema);
+
+module.exports = TierChange; 
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Badge a user has earned, see src/config/badges.js for the definitions
+const userBadgeSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  badgeKey: {
+    type: String,
+    required: true
+  },
+  earnedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Event whose recording earned the badge
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null
+  },
+  // badge_bonus event paid for the badge, if it grants credits
+  bonusEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditEvent',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A badge is earned once per user
+userBadgeSchema.index({ userId: 1, badgeKey: 1 }, { unique: true });
+
+const UserBadge = mongoose.model('UserBadge', userBadgeSchema);
+
+module.exports = UserBadge; 
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Per-user projection of the credit ledger, updated in the same transaction as
+// every CreditEvent it summarises. CreditEvent stays the source of truth; the
+// balances script rebuilds this collection from it.
+const userBalanceSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  earnedCredits: {
+    type: Number,
+    default: 0
+  },
+  spentCredits: {
+    type: Number,
+    default: 0
+  },
+  totalEvents: {
+    type: Number,
+    default: 0
+  },
+  // { [actionType]: { count, totalCredits } }
+  creditsByAction: {
+    type: Object,
+    default: {}
+  },
+  lastActivity: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const UserBalance = mongoose.model('UserBalance', userBalanceSchema);
+
+module.exports = UserBalance; 
\ No newline at end of file
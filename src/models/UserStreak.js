@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Consecutive-day activity of a user for one action type. Days are calendar
+// dates (YYYY-MM-DD) in STREAK_TIMEZONE.
+const userStreakSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  actionType: {
+    type: String,
+    required: true
+  },
+  currentStreak: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  longestStreak: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // First day of the current streak
+  startedOn: {
+    type: String,
+    default: null
+  },
+  lastActiveOn: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userStreakSchema.index({ userId: 1, actionType: 1 }, { unique: true });
+
+const UserStreak = mongoose.model('UserStreak', userStreakSchema);
+
+module.exports = UserStreak; 
\ No newline at end of file
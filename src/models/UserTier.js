@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Tier a user currently holds, as last evaluated from their credits in the
+// rolling window. Changes are logged to TierChange.
+const userTierSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tierKey: {
+    type: String,
+    required: true
+  },
+  windowCredits: {
+    type: Number,
+    default: 0
+  },
+  // When the user reached their current tier
+  since: {
+    type: Date,
+    default: Date.now
+  },
+  evaluatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+const UserTier = mongoose.model('UserTier', userTierSchema);
+
+module.exports = UserTier; 
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENT_TYPES = ['credit.awarded', 'credit.redeemed', 'credit.reversed', 'credit.expired', 'credit.transferred', 'referral.bonus_awarded'];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    validate: {
+      validator: value => {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'url must be an http(s) URL'
+    }
+  },
+  eventTypes: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENT_TYPES
+    }],
+    validate: {
+      validator: eventTypes => eventTypes.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+  // Shared secret used to sign payloads, only returned when the subscription is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, eventTypes: 1 });
+
+webhookSubscriptionSchema.statics.EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { listActionTypes } = require('../services/actionTypeService');
+
+/**
+ * GET /api/action-types
+ * Lists the active action types that can be awarded
+ */
+router.get('/', async (req, res) => {
+  try {
+    const actionTypes = await listActionTypes();
+
+    res.json({
+      success: true,
+      actionTypes: actionTypes.map(({ key, label, description, defaultCredits, referralMultiplier, rule, caps }) => ({
+        key,
+        label,
+        description,
+        defaultCredits,
+        referralMultiplier,
+        rule: rule || { type: 'fixed' },
+        caps: caps || {}
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error listing action types:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching action types',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
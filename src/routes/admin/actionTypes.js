@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listActionTypes,
+  createActionType,
+  updateActionType
+} = require('../../services/actionTypeService');
+
+/**
+ * GET /api/admin/action-types
+ * Lists every action type in the registry, including inactive and internal ones
+ */
+router.get('/', async (req, res) => {
+  try {
+    const actionTypes = await listActionTypes({ includeInactive: true, includeInternal: true });
+
+    res.json({
+      success: true,
+      actionTypes
+    });
+
+  } catch (error) {
+    console.error('Error listing action types:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching action types',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/action-types
+ * Adds a new action type to the registry
+ */
+router.post('/', async (req, res) => {
+  try {
+    const actionType = await createActionType(req.body);
+
+    res.status(201).json({
+      success: true,
+      actionType
+    });
+
+  } catch (error) {
+    console.error('Error creating action type:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while creating action type',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/action-types/:key
+ * Updates an action type's label, default credits, award rule, referral multiplier or active flag
+ */
+router.patch('/:key', async (req, res) => {
+  try {
+    const actionType = await updateActionType(req.params.key, req.body);
+
+    res.json({
+      success: true,
+      actionType
+    });
+
+  } catch (error) {
+    console.error('Error updating action type:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while updating action type',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
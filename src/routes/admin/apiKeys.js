@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { createApiKey, listApiKeys, revokeApiKey } = require('../../services/apiKeyService');
+
+/**
+ * GET /api/admin/api-keys
+ * Lists API keys (hashes are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys();
+
+    res.json({
+      success: true,
+      apiKeys
+    });
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching API keys',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Creates an API key. The plaintext key is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.body);
+
+    res.status(201).json({
+      success: true,
+      keyId: apiKey.keyId,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      key,
+      message: 'Store this key now, it cannot be retrieved again'
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while creating API key',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:keyId
+ * Revokes an API key
+ */
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.keyId);
+
+    res.json({
+      success: true,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while revoking API key',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  updateCampaign,
+  getCampaignReport
+} = require('../../services/campaignService');
+
+/**
+ * GET /api/admin/campaigns
+ * Lists promotional campaigns, optionally by status (scheduled, running, ended, inactive)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit = 50, skip = 0 } = req.query;
+
+    const result = await listCampaigns({
+      status,
+      limit: parseInt(limit),
+      skip: parseInt(skip)
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error listing campaigns:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching campaigns',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/campaigns
+ * Creates a campaign boosting the credits awarded for some action types during a period
+ */
+router.post('/', async (req, res) => {
+  try {
+    const campaign = await createCampaign(req.body, { createdBy: req.apiKey.keyId });
+
+    res.status(201).json({
+      success: true,
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while creating campaign',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/admin/campaigns/:campaignId
+ * Gets a campaign with its status and remaining budget
+ */
+router.get('/:campaignId', async (req, res) => {
+  try {
+    const campaign = await getCampaign(req.params.campaignId);
+
+    res.json({
+      success: true,
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Error getting campaign:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching campaign',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/campaigns/:campaignId
+ * Updates a campaign; set active to false to stop it early
+ */
+router.patch('/:campaignId', async (req, res) => {
+  try {
+    const campaign = await updateCampaign(req.params.campaignId, req.body);
+
+    res.json({
+      success: true,
+      campaign
+    });
+
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while updating campaign',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/admin/campaigns/:campaignId/report
+ * Reports the awards a campaign boosted, users reached and credits given out
+ */
+router.get('/:campaignId/report', async (req, res) => {
+  try {
+    const report = await getCampaignReport(req.params.campaignId);
+
+    res.json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Error getting campaign report:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching campaign report',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+
+// Admin routes, mounted under /api/admin
+router.use('/action-types', require('./actionTypes'));
+router.use('/api-keys', require('./apiKeys'));
+router.use('/campaigns', require('./campaigns'));
+router.use('/referral-holds', require('./referralHolds'));
+router.use('/tiers', require('./tiers'));
+router.use('/webhooks', require('./webhooks'));
+
+module.exports = router; 
\ No newline at end of file
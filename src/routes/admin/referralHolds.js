@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listReferralHolds,
+  getReferralHold,
+  approveReferralHold,
+  rejectReferralHold
+} = require('../../services/referralFraudService');
+
+/**
+ * GET /api/admin/referral-holds
+ * Review queue of referral bonuses held as suspicious (pending by default)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending', referrerId, limit = 50, skip = 0 } = req.query;
+
+    const result = await listReferralHolds({
+      status,
+      referrerId,
+      limit: parseInt(limit),
+      skip: parseInt(skip)
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error listing referral holds:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching referral holds',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/admin/referral-holds/:holdId
+ * Gets a held referral bonus with the fraud signals that triggered the hold
+ */
+router.get('/:holdId', async (req, res) => {
+  try {
+    const hold = await getReferralHold(req.params.holdId);
+
+    res.json({
+      success: true,
+      hold
+    });
+
+  } catch (error) {
+    console.error('Error getting referral hold:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching referral hold',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/referral-holds/:holdId/approve
+ * Approves a held bonus and awards it to the referrer
+ */
+router.post('/:holdId/approve', async (req, res) => {
+  try {
+    const { hold, referralEvent, levelBonuses, badges } = await approveReferralHold(req.params.holdId, {
+      reviewedBy: req.apiKey.keyId,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      hold,
+      referralEventId: referralEvent._id,
+      levelBonuses: levelBonuses.map(({ level, referrerId, bonusAwarded, referralEventId }) => ({
+        level,
+        referrerId,
+        bonusAwarded,
+        referralEventId
+      })),
+      badges: badges.map(({ userId, badge, earnedAt, bonusEvent }) => ({
+        userId,
+        badgeKey: badge.key,
+        name: badge.name,
+        earnedAt,
+        bonusCredits: bonusEvent ? bonusEvent.creditsAwarded : 0,
+        bonusEventId: bonusEvent ? bonusEvent._id : null
+      })),
+      message: `Referral bonus of ${hold.bonusCredits} credits awarded to ${hold.referrerId}`
+    });
+
+  } catch (error) {
+    console.error('Error approving referral hold:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while approving referral hold',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/referral-holds/:holdId/reject
+ * Rejects a held bonus; no credits are awarded
+ */
+router.post('/:holdId/reject', async (req, res) => {
+  try {
+    const hold = await rejectReferralHold(req.params.holdId, {
+      reviewedBy: req.apiKey.keyId,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      hold,
+      message: `Referral bonus for ${hold.referrerId} rejected`
+    });
+
+  } catch (error) {
+    console.error('Error rejecting referral hold:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while rejecting referral hold',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { listTiers, replaceTiers } = require('../../services/tierService');
+
+/**
+ * GET /api/admin/tiers
+ * Lists the membership tiers, lowest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tiers = await listTiers();
+
+    res.json({
+      success: true,
+      tiers
+    });
+
+  } catch (error) {
+    console.error('Error listing tiers:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching tiers',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/tiers
+ * Replaces the tier ladder with the tiers in the body
+ */
+router.put('/', async (req, res) => {
+  try {
+    const tiers = await replaceTiers(req.body.tiers);
+
+    res.json({
+      success: true,
+      tiers
+    });
+
+  } catch (error) {
+    console.error('Error replacing tiers:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while replacing tiers',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
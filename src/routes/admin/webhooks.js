@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  retryDelivery
+} = require('../../services/webhookService');
+
+/**
+ * GET /api/admin/webhooks
+ * Lists webhook subscriptions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions();
+
+    res.json({
+      success: true,
+      subscriptions
+    });
+
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error while fetching webhook subscriptions',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Registers a webhook subscription. The signing secret is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { subscription, secret } = await createSubscription(req.body);
+
+    res.status(201).json({
+      success: true,
+      subscription,
+      secret,
+      message: 'Store this secret now, it is used to verify the X-Credit-Engine-Signature header'
+    });
+
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while creating webhook subscription',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/deliveries
+ * Delivery log across all subscriptions, filterable by status and eventType
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { status, eventType, limit = 50 } = req.query;
+    const deliveries = await listDeliveries({ status, eventType, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      deliveries
+    });
+
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching webhook deliveries',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/deliveries/:deliveryId/retry
+ * Retries a failed delivery immediately
+ */
+router.post('/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const delivery = await retryDelivery(req.params.deliveryId);
+
+    res.json({
+      success: true,
+      delivery
+    });
+
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while retrying webhook delivery',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/webhooks/:subscriptionId
+ * Updates a subscription's url, event types, description or active flag
+ */
+router.patch('/:subscriptionId', async (req, res) => {
+  try {
+    const subscription = await updateSubscription(req.params.subscriptionId, req.body);
+
+    res.json({
+      success: true,
+      subscription
+    });
+
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while updating webhook subscription',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:subscriptionId
+ * Deletes a subscription
+ */
+router.delete('/:subscriptionId', async (req, res) => {
+  try {
+    await deleteSubscription(req.params.subscriptionId);
+
+    res.json({
+      success: true,
+      message: `Webhook subscription ${req.params.subscriptionId} deleted`
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while deleting webhook subscription',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:subscriptionId/deliveries
+ * Delivery log for one subscription
+ */
+router.get('/:subscriptionId/deliveries', async (req, res) => {
+  try {
+    const { status, eventType, limit = 50 } = req.query;
+    const deliveries = await listDeliveries({
+      subscriptionId: req.params.subscriptionId,
+      status,
+      eventType,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      subscriptionId: req.params.subscriptionId,
+      deliveries
+    });
+
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching webhook deliveries',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
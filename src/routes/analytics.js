@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { getTimeseries } = require('../services/analyticsService');
+
+/**
+ * GET /api/analytics/timeseries
+ * Gets credits and event counts bucketed by hour, day, week or month for trend charts
+ */
+router.get('/timeseries', async (req, res) => {
+  try {
+    const {
+      interval,
+      timezone,
+      startDate,
+      endDate,
+      groupBy,
+      actionType,
+      userId,
+      referrerId
+    } = req.query;
+
+    // Several action types can be given comma-separated or as repeated parameters
+    const actionTypes = actionType
+      ? [].concat(actionType).flatMap(value => String(value).split(',')).filter(Boolean)
+      : [];
+
+    const result = await getTimeseries({
+      interval,
+      timezone,
+      startDate,
+      endDate,
+      groupBy,
+      actionType: actionTypes.length > 1 ? actionTypes : actionTypes[0],
+      userId,
+      referrerId
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error getting time series:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching time series',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -1,16 +1,230 @@
 const express = require('express');
+const { pipeline } = require('stream');
 const router = express.Router();
-const { getUserCreditTotal, getCreditEvents, getSystemStats } = require('../services/ledgerService');
-const { getReferralBonusSummary } = require('../services/referralService');
+const {
+  getUserCreditTotal,
+  getCreditEvents,
+  getSystemStats,
+  redeemCredits,
+  transferCredits,
+  reverseCreditEvent,
+  bulkRecordEvents
+} = require('../services/ledgerService');
+const { getReferralBonusSummary, getReferralTree } = require('../services/referralService');
+const { createLedgerExport } = require('../services/ledgerExportService');
+const { getUserTierStatus, getTierHistory } = require('../services/tierService');
+const { getUserBadges } = require('../services/badgeService');
+const { createStatement } = require('../services/statementService');
+const { getIdempotencyKey, hashRequestPayload } = require('../utils/idempotency');
+const { isPrivilegedRequest, requireScope } = require('../middleware/auth');
+const { createHttpError } = require('../utils/errors');
+const { parseCsv } = require('../utils/csv');
+
+// Columns accepted in CSV imports, besides metadata.<key> columns
+const IMPORT_COLUMNS = ['externalId', 'userId', 'actionType', 'creditsAwarded', 'timestamp', 'referrerId'];
+
+/**
+ * Reads the event listing filters from the query string
+ * @param {Object} query - Express request query
+ * @returns {Object} - Filters for getCreditEvents
+ */
+function parseEventFilters(query) {
+  const {
+    actionType,
+    referrerId,
+    minCredits,
+    maxCredits,
+    metadata,
+    startDate,
+    endDate,
+    limit = 20,
+    cursor
+  } = query;
+
+  const filters = {
+    limit: Math.min(parseInt(limit), 100), // Cap at 100
+    cursor
+  };
+
+  // Several action types can be given comma-separated or as repeated parameters
+  if (actionType) {
+    const actionTypes = [].concat(actionType).flatMap(value => String(value).split(',')).filter(Boolean);
+    filters.actionType = actionTypes.length === 1 ? actionTypes[0] : actionTypes;
+  }
+
+  for (const [name, value] of Object.entries({ minCredits, maxCredits })) {
+    if (value !== undefined) {
+      filters[name] = Number(value);
+      if (value === '' || !Number.isFinite(filters[name])) {
+        throw createHttpError(400, `${name} must be a number`);
+      }
+    }
+  }
+
+  // metadata[field]=value
+  if (metadata !== undefined) {
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw createHttpError(400, 'metadata filters must be given as metadata[field]=value');
+    }
+    filters.metadata = metadata;
+  }
+
+  if (referrerId) filters.referrerId = referrerId;
+  if (startDate) filters.startDate = startDate;
+  if (endDate) filters.endDate = endDate;
+
+  return filters;
+}
+
+/**
+ * Converts an uploaded CSV file into import records. The header row names the
+ * columns; metadata.<key> columns are gathered into each record's metadata.
+ * @param {string} text - CSV file contents
+ * @returns {Array<Object>} - Records for bulkRecordEvents
+ */
+function csvToImportRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    throw createHttpError(400, 'CSV file is empty');
+  }
+
+  const unknownColumns = header.filter(column => !IMPORT_COLUMNS.includes(column) && !/^metadata\.[^.]+$/.test(column));
+  if (unknownColumns.length > 0) {
+    throw createHttpError(400, `Unknown CSV columns: ${unknownColumns.join(', ')}`, {
+      validColumns: [...IMPORT_COLUMNS, 'metadata.<key>']
+    });
+  }
+
+  return rows.map((fields, index) => {
+    if (fields.length !== header.length) {
+      throw createHttpError(400, `CSV row ${index + 1} has ${fields.length} fields, expected ${header.length}`);
+    }
+
+    const record = { metadata: {} };
+
+    header.forEach((column, i) => {
+      const value = fields[i];
+
+      if (value.trim() === '') {
+        return;
+      }
+
+      if (column.startsWith('metadata.')) {
+        record.metadata[column.slice('metadata.'.length)] = value;
+      } else {
+        record[column] = column === 'creditsAwarded' ? Number(value) : value;
+      }
+    });
+
+    return record;
+  });
+}
+
+/**
+ * GET /api/credits/events
+ * Lists credit events across all users, paginated with an opaque cursor (admin endpoint)
+ */
+router.get('/events', requireScope('admin'), async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    const result = await getCreditEvents({
+      ...parseEventFilters(req.query),
+      userId
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error listing credit events:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching credit events',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/credits/export
+ * Streams ledger events as CSV or NDJSON, oldest first (admin endpoint)
+ */
+router.get('/export', requireScope('admin'), async (req, res) => {
+  try {
+    const { format = 'csv', userId } = req.query;
+
+    const { stream, contentType, filename } = await createLedgerExport({
+      ...parseEventFilters(req.query),
+      userId
+    }, format);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    // Headers are already sent if the stream fails, so the response is just cut short
+    pipeline(stream, res, (error) => {
+      if (error) {
+        console.error('Error streaming ledger export:', error);
+      }
+    });
+
+  } catch (error) {
+    console.error('Error exporting ledger:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while exporting ledger',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/credits/import
+ * Imports historic credit events from a JSON body ({ events: [...] }) or a CSV
+ * upload (Content-Type: text/csv), reporting the outcome of every row (admin endpoint)
+ */
+router.post('/import', requireScope('admin'), express.text({ type: 'text/csv', limit: '10mb' }), async (req, res) => {
+  try {
+    const { dryRun = 'false', processReferrals = 'false' } = req.query;
+
+    const events = req.is('text/csv')
+      ? csvToImportRecords(typeof req.body === 'string' ? req.body : '')
+      : req.body.events;
+
+    const result = await bulkRecordEvents(events, {
+      apiKeyId: req.apiKey.keyId,
+      dryRun: dryRun === 'true',
+      processReferrals: processReferrals === 'true'
+    });
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error importing credit events:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while importing credit events',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
 /**
  * GET /api/credits/:userId
- * Gets credit totals and summary for a specific user
+ * Gets credit totals and summary for a specific user, optionally as they stood at ?asOf=
  */
 router.get('/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { includeEvents = 'false', includeReferrals = 'false' } = req.query;
+    const { includeEvents = 'false', includeReferrals = 'false', asOf } = req.query;
 
     if (!userId) {
       return res.status(400).json({
@@ -20,7 +234,7 @@ router.get('/:userId', async (req, res) => {
     }
 
     // Get user credit totals
-    const creditSummary = await getUserCreditTotal(userId);
+    const creditSummary = await getUserCreditTotal(userId, { asOf });
 
     const response = {
       success: true,
@@ -31,6 +245,7 @@ router.get('/:userId', async (req, res) => {
     if (includeEvents === 'true') {
       const eventsData = await getCreditEvents({
         userId,
+        endDate: creditSummary.asOf,
         limit: 50
       });
       response.detailedEvents = eventsData.events;
@@ -52,9 +267,9 @@ router.get('/:userId', async (req, res) => {
 
   } catch (error) {
     console.error('Error getting user credits:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Internal server error while fetching credits',
+      error: error.status ? error.message : 'Internal server error while fetching credits',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -62,18 +277,11 @@ router.get('/:userId', async (req, res) => {
 
 /**
  * GET /api/credits/:userId/events
- * Gets paginated credit events for a specific user
+ * Gets credit events for a specific user, paginated with an opaque cursor
  */
 router.get('/:userId/events', async (req, res) => {
   try {
     const { userId } = req.params;
-    const {
-      actionType,
-      startDate,
-      endDate,
-      limit = 20,
-      skip = 0
-    } = req.query;
 
     if (!userId) {
       return res.status(400).json({
@@ -82,18 +290,10 @@ router.get('/:userId/events', async (req, res) => {
       });
     }
 
-    // Build filters
-    const filters = {
-      userId,
-      limit: Math.min(parseInt(limit), 100), // Cap at 100
-      skip: parseInt(skip)
-    };
-
-    if (actionType) filters.actionType = actionType;
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
-
-    const result = await getCreditEvents(filters);
+    const result = await getCreditEvents({
+      ...parseEventFilters(req.query),
+      userId
+    });
 
     res.json({
       success: true,
@@ -103,9 +303,9 @@ router.get('/:userId/events', async (req, res) => {
 
   } catch (error) {
     console.error('Error getting user credit events:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Internal server error while fetching credit events',
+      error: error.status ? error.message : 'Internal server error while fetching credit events',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -144,6 +344,123 @@ router.get('/:userId/referrals', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/credits/:userId/referrals/tree
+ * Gets the users a user referred, their own referrals down to the requested depth, and the user's referrer
+ */
+router.get('/:userId/referrals/tree', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { depth } = req.query;
+
+    const tree = await getReferralTree(userId, {
+      depth: depth === undefined ? undefined : Number(depth)
+    });
+
+    res.json({
+      success: true,
+      ...tree
+    });
+
+  } catch (error) {
+    console.error('Error getting referral tree:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching referral tree',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/credits/:userId/tier
+ * Gets a user's membership tier, progress to the next tier and tier change history
+ */
+router.get('/:userId/tier', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit = 50, skip = 0 } = req.query;
+
+    const status = await getUserTierStatus(userId);
+    const history = await getTierHistory(userId, {
+      limit: parseInt(limit),
+      skip: parseInt(skip)
+    });
+
+    res.json({
+      success: true,
+      userId,
+      ...status,
+      history: history.changes,
+      pagination: history.pagination
+    });
+
+  } catch (error) {
+    console.error('Error getting user tier:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching tier',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/credits/:userId/badges
+ * Lists the badges a user earned, with dates, and their progress towards the others
+ */
+router.get('/:userId/badges', async (req, res) => {
+  try {
+    const result = await getUserBadges(req.params.userId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error getting user badges:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching badges',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/credits/:userId/statement
+ * Gets a user's statement for a period (?from=&to=) as JSON, CSV or printable HTML (?format=)
+ */
+router.get('/:userId/statement', async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+    const { statement, body, contentType, filename } = await createStatement(req.params.userId, { from, to, format });
+
+    if (body === null) {
+      return res.json({
+        success: true,
+        ...statement
+      });
+    }
+
+    res.set('Content-Type', contentType);
+    if (contentType.startsWith('text/csv')) {
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.send(body);
+
+  } catch (error) {
+    console.error('Error getting statement:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while building statement',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * GET /api/credits/system/stats
  * Gets system-wide credit statistics (admin endpoint)
@@ -182,35 +499,32 @@ router.post('/', async (req, res) => {
       metadata = {}
     } = req.body;
 
-    // Validate required fields
-    if (!userId || !actionType || creditsAwarded === undefined) {
+    // Validate required fields, credits are computed from the action type's rule
+    if (!userId || !actionType) {
       return res.status(400).json({
         success: false,
-        error: 'userId, actionType, and creditsAwarded are required'
+        error: 'userId and actionType are required'
       });
     }
 
-    if (creditsAwarded < 0) {
-      return res.status(400).json({
+    if (creditsAwarded !== undefined && !isPrivilegedRequest(req)) {
+      return res.status(403).json({
         success: false,
-        error: 'Credits awarded cannot be negative'
+        error: 'creditsAwarded can only be supplied by privileged callers'
       });
     }
 
-    // Valid action types
-    const validActionTypes = [
-      'enrollment', 'social_post', 'tech_module', 
-      'spend_multiplier', 'coffee_wall', 'other'
-    ];
-
-    if (!validActionTypes.includes(actionType)) {
+    if (creditsAwarded < 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid action type',
-        validTypes: validActionTypes
+        error: 'Credits awarded cannot be negative'
       });
     }
 
+    // The action type itself is validated against the registry by the ledger service
+
+    const idempotencyKey = getIdempotencyKey(req, 'credits');
+
     // Record the credit event using ledger service
     const { recordCreditEvent } = require('../services/ledgerService');
     
@@ -223,7 +537,12 @@ router.post('/', async (req, res) => {
         ...metadata,
         source: 'direct_api',
         timestamp: new Date().toISOString()
-      }
+      },
+      apiKeyId: req.apiKey.keyId,
+      idempotencyKey,
+      requestHash: idempotencyKey
+        ? hashRequestPayload({ userId, actionType, creditsAwarded, referrerId, metadata })
+        : undefined
     });
 
     // Prepare response
@@ -231,8 +550,12 @@ router.post('/', async (req, res) => {
       success: true,
       userId,
       actionType,
-      creditsAwarded,
+      creditsAwarded: result.event.creditsAwarded,
+      awardBreakdown: result.event.awardBreakdown,
+      caps: result.caps,
       eventId: result.event._id,
+      badges: result.badges || [],
+      streak: result.streak || null,
       message: result.message
     };
 
@@ -241,17 +564,200 @@ router.post('/', async (req, res) => {
       response.referral = {
         referrerId,
         bonusAwarded: result.referralProcessing.bonusAwarded,
+        bonusHeld: !!result.referralProcessing.held,
+        levelBonuses: (result.referralProcessing.levelBonuses || []).map(({ level, referrerId, bonusAwarded, referralEventId }) => ({
+          level,
+          referrerId,
+          bonusAwarded,
+          referralEventId
+        })),
         bonusMessage: result.referralProcessing.message
       };
     }
 
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
     res.status(201).json(response);
 
   } catch (error) {
     console.error('Error awarding credits:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while awarding credits',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/credits/events/:eventId/reverse
+ * Reverses a credit event with a compensating entry, e.g. when a post is deleted or a purchase refunded (admin endpoint)
+ */
+router.post('/events/:eventId/reverse', requireScope('admin'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { reason, cascade = false } = req.body;
+
+    if (typeof cascade !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'cascade must be a boolean'
+      });
+    }
+
+    const result = await reverseCreditEvent(eventId, {
+      reason,
+      cascade,
+      apiKeyId: req.apiKey.keyId
+    });
+
+    res.status(201).json({
+      success: true,
+      eventId,
+      userId: result.original.userId,
+      reversalEventId: result.reversal._id,
+      creditsReversed: result.original.creditsAwarded,
+      referralReversal: result.referralReversal
+        ? {
+          eventId: result.referralReversal.reversalOf,
+          userId: result.referralReversal.userId,
+          reversalEventId: result.referralReversal._id,
+          creditsReversed: -result.referralReversal.creditsAwarded
+        }
+        : null,
+      uplineReversals: result.uplineReversals.map(uplineReversal => ({
+        eventId: uplineReversal.reversalOf,
+        userId: uplineReversal.userId,
+        reversalEventId: uplineReversal._id,
+        creditsReversed: -uplineReversal.creditsAwarded
+      })),
+      shortfalls: result.shortfalls,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error reversing credit event:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while reversing credit event',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/credits/:userId/redeem
+ * Redeems credits from a user's available balance
+ */
+router.post('/:userId/redeem', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { amount, reason, metadata = {} } = req.body;
+
+    if (amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'amount is required'
+      });
+    }
+
+    const idempotencyKey = getIdempotencyKey(req, 'redeem');
+
+    const result = await redeemCredits({
+      userId,
+      amount,
+      reason,
+      metadata: {
+        ...metadata,
+        source: 'direct_api',
+        timestamp: new Date().toISOString()
+      },
+      apiKeyId: req.apiKey.keyId,
+      idempotencyKey,
+      requestHash: idempotencyKey
+        ? hashRequestPayload({ userId, amount, reason, metadata })
+        : undefined
+    });
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.status(201).json({
+      success: true,
+      userId,
+      creditsRedeemed: amount,
+      eventId: result.event._id,
+      balance: result.balance,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error redeeming credits:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while redeeming credits',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/credits/transfer
+ * Sends credits from one user to another with an optional note
+ */
+router.post('/transfer', async (req, res) => {
+  try {
+    const { fromUserId, toUserId, amount, note } = req.body;
+
+    if (!fromUserId || !toUserId || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromUserId, toUserId and amount are required'
+      });
+    }
+
+    const idempotencyKey = getIdempotencyKey(req, 'transfer');
+
+    const result = await transferCredits({
+      fromUserId,
+      toUserId,
+      amount,
+      note,
+      apiKeyId: req.apiKey.keyId,
+      idempotencyKey,
+      requestHash: idempotencyKey
+        ? hashRequestPayload({ fromUserId, toUserId, amount, note })
+        : undefined
+    });
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.status(201).json({
+      success: true,
+      transferId: result.transferId,
+      fromUserId,
+      toUserId: result.creditEvent.userId,
+      creditsTransferred: -result.debitEvent.creditsAwarded,
+      debitEventId: result.debitEvent._id,
+      creditEventId: result.creditEvent._id,
+      balance: result.balance,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error transferring credits:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Internal server error while awarding credits',
+      error: error.status ? error.message : 'Internal server error while transferring credits',
+      ...error.data,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
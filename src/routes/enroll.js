@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { recordCreditEvent } = require('../services/ledgerService');
 const { validateReferrer } = require('../services/referralService');
+const { getIdempotencyKey, parseIdempotencyKey, scopeIdempotencyKey, hashRequestPayload } = require('../utils/idempotency');
+const { isPrivilegedRequest } = require('../middleware/auth');
 
 /**
  * POST /api/enroll
@@ -13,7 +15,7 @@ router.post('/', async (req, res) => {
       userId,
       referrerId,
       actionType = 'enrollment',
-      creditsAwarded = 100, // Default enrollment credits
+      creditsAwarded, // Override of the action type's rule, privileged callers only
       metadata = {}
     } = req.body;
 
@@ -25,6 +27,13 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (creditsAwarded !== undefined && !isPrivilegedRequest(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'creditsAwarded can only be supplied by privileged callers'
+      });
+    }
+
     // Validate referrer if provided
     if (referrerId) {
       if (referrerId === userId) {
@@ -43,6 +52,8 @@ router.post('/', async (req, res) => {
       }
     }
 
+    const idempotencyKey = getIdempotencyKey(req, 'enroll');
+
     // Record the enrollment event
     const result = await recordCreditEvent({
       userId,
@@ -53,16 +64,25 @@ router.post('/', async (req, res) => {
         ...metadata,
         enrollmentSource: 'api',
         timestamp: new Date().toISOString()
-      }
+      },
+      apiKeyId: req.apiKey.keyId,
+      idempotencyKey,
+      requestHash: idempotencyKey
+        ? hashRequestPayload({ userId, referrerId, actionType, creditsAwarded, metadata })
+        : undefined
     });
 
     // Prepare response
     const response = {
       success: true,
       userId,
-      creditsAwarded,
+      creditsAwarded: result.event.creditsAwarded,
+      awardBreakdown: result.event.awardBreakdown,
+      caps: result.caps,
       actionType,
       eventId: result.event._id,
+      badges: result.badges || [],
+      streak: result.streak || null,
       message: result.message
     };
 
@@ -71,17 +91,29 @@ router.post('/', async (req, res) => {
       response.referral = {
         referrerId,
         bonusAwarded: result.referralProcessing.bonusAwarded,
+        bonusHeld: !!result.referralProcessing.held,
+        levelBonuses: (result.referralProcessing.levelBonuses || []).map(({ level, referrerId, bonusAwarded, referralEventId }) => ({
+          level,
+          referrerId,
+          bonusAwarded,
+          referralEventId
+        })),
         bonusMessage: result.referralProcessing.message
       };
     }
 
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
     res.status(201).json(response);
 
   } catch (error) {
     console.error('Enrollment error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Internal server error during enrollment',
+      error: error.status ? error.message : 'Internal server error during enrollment',
+      ...error.data,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -111,6 +143,7 @@ router.post('/batch', async (req, res) => {
 
     const results = [];
     const errors = [];
+    const privileged = isPrivilegedRequest(req);
 
     // Process each enrollment
     for (let i = 0; i < enrollments.length; i++) {
@@ -121,7 +154,7 @@ router.post('/batch', async (req, res) => {
           userId,
           referrerId,
           actionType = 'enrollment',
-          creditsAwarded = 100,
+          creditsAwarded,
           metadata = {}
         } = enrollment;
 
@@ -134,6 +167,15 @@ router.post('/batch', async (req, res) => {
           continue;
         }
 
+        if (creditsAwarded !== undefined && !privileged) {
+          errors.push({
+            index: i,
+            error: 'creditsAwarded can only be supplied by privileged callers',
+            enrollment
+          });
+          continue;
+        }
+
         // Validate referrer if provided
         if (referrerId && referrerId !== userId) {
           const isValidReferrer = await validateReferrer(referrerId);
@@ -147,6 +189,9 @@ router.post('/batch', async (req, res) => {
           }
         }
 
+        // Batch items carry their own externalId, the request header would be shared by all of them
+        const idempotencyKey = scopeIdempotencyKey(parseIdempotencyKey(enrollment.externalId), req.apiKey.keyId, 'enroll');
+
         // Record the enrollment event
         const result = await recordCreditEvent({
           userId,
@@ -158,22 +203,30 @@ router.post('/batch', async (req, res) => {
             enrollmentSource: 'batch_api',
             batchIndex: i,
             timestamp: new Date().toISOString()
-          }
+          },
+          apiKeyId: req.apiKey.keyId,
+          idempotencyKey,
+          requestHash: idempotencyKey
+            ? hashRequestPayload({ userId, referrerId, actionType, creditsAwarded, metadata })
+            : undefined
         });
 
         results.push({
           index: i,
           success: true,
           userId,
-          creditsAwarded,
+          creditsAwarded: result.event.creditsAwarded,
           eventId: result.event._id,
-          referralBonus: result.referralProcessing?.bonusAwarded || 0
+          referralBonus: result.referralProcessing?.bonusAwarded || 0,
+          capped: result.caps?.capped || undefined,
+          replayed: result.replayed || undefined
         });
 
       } catch (error) {
         errors.push({
           index: i,
           error: error.message,
+          caps: error.data?.caps,
           enrollment
         });
       }
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { getLeaderboard, getUserRank } = require('../services/leaderboardService');
+const { createHttpError } = require('../utils/errors');
+
+/**
+ * Reads the leaderboard filters shared by both endpoints from the query string
+ * @param {Object} query - Express request query
+ * @returns {Object} - Leaderboard filters
+ */
+function parseLeaderboardFilters(query) {
+  const { period, startDate, endDate, actionType, referralOnly = 'false' } = query;
+
+  return {
+    period,
+    startDate,
+    endDate,
+    actionType,
+    referralOnly: referralOnly === 'true'
+  };
+}
+
+/**
+ * Reads the leaderboard page from the query string. Aggregation $limit and
+ * $skip reject non-numeric values, so they are refused here with a 400.
+ * @param {Object} query - Express request query
+ * @returns {Object} - { limit, skip }
+ */
+function parsePagination(query) {
+  const { limit = '10', skip = '0' } = query;
+  const page = { limit: Number(limit), skip: Number(skip) };
+
+  if (!Number.isInteger(page.limit) || page.limit < 1) {
+    throw createHttpError(400, 'limit must be a positive integer');
+  }
+  if (!Number.isInteger(page.skip) || page.skip < 0) {
+    throw createHttpError(400, 'skip must be a non-negative integer');
+  }
+
+  return page;
+}
+
+/**
+ * GET /api/leaderboard
+ * Ranks users by credits earned within a period, optionally for one action type or referrals only
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await getLeaderboard({
+      ...parseLeaderboardFilters(req.query),
+      ...parsePagination(req.query)
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error getting leaderboard:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching leaderboard',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/leaderboard/:userId
+ * Gets a single user's rank on the leaderboard selected by the same filters
+ */
+router.get('/:userId', async (req, res) => {
+  try {
+    const result = await getUserRank(req.params.userId, parseLeaderboardFilters(req.query));
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error getting user rank:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error while fetching user rank',
+      ...error.data,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
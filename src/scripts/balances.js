@@ -0,0 +1,50 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { rebuildBalances, checkBalanceConsistency } = require('../services/balanceService');
+const { rebuildCreditLots } = require('../services/creditLotService');
+
+const USAGE = 'Usage: node src/scripts/balances.js <rebuild|rebuild-lots|check> [userId]';
+
+/**
+ * Maintenance command for the per-user balance projections
+ *   rebuild [userId]      - Regenerate projections by replaying the ledger
+ *   rebuild-lots [userId] - Regenerate credit lots (used for FIFO spending and expiry) from the ledger
+ *   check [userId]        - Compare projections with the raw ledger, exits 1 on mismatches
+ */
+async function main() {
+  const [command, userId] = process.argv.slice(2);
+
+  if (!['rebuild', 'rebuild-lots', 'check'].includes(command)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+
+  try {
+    if (command === 'rebuild') {
+      const result = await rebuildBalances({ userId });
+      console.log(`Rebuilt ${result.rebuilt} balance projection(s), removed ${result.removed} stale projection(s)`);
+    } else if (command === 'rebuild-lots') {
+      const result = await rebuildCreditLots({ userId });
+      console.log(`Rebuilt ${result.lots} credit lot(s) for ${result.users} user(s)`);
+    } else {
+      const result = await checkBalanceConsistency({ userId });
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.consistent) {
+        console.error(`${result.mismatchedUsers} of ${result.checkedUsers} user balance(s) do not match the ledger`);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Balance maintenance failed:', error);
+  process.exitCode = 1;
+  mongoose.connection.close();
+}); 
\ No newline at end of file
@@ -0,0 +1,29 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { expireCredits } = require('../services/expiryService');
+
+/**
+ * Expires credits past their expiry date. The API server also sweeps hourly;
+ * run this from a scheduler where the server does not stay up (e.g. serverless).
+ */
+async function main() {
+  await connectDB();
+
+  try {
+    const result = await expireCredits();
+    console.log(`Expired ${result.expiredCredits} credit(s) from ${result.expiredLots} lot(s)`);
+    if (result.failedLots > 0) {
+      console.error(`${result.failedLots} lot(s) could not be expired`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Credit expiry failed:', error);
+  process.exitCode = 1;
+  mongoose.connection.close();
+}); 
\ No newline at end of file
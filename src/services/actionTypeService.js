@@ -0,0 +1,218 @@
+const ActionType = require('../models/ActionType');
+const { validateRule } = require('./creditRulesService');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+
+// How long a process keeps using its copy of the registry before reloading it,
+// so changes made through the admin endpoints reach every instance
+const REGISTRY_CACHE_TTL_MS = 30 * 1000;
+
+// Action types seeded on first use. Existing records are never overwritten,
+// so admin changes to these survive restarts.
+const DEFAULT_ACTION_TYPES = [
+  { key: 'enrollment', label: 'Enrollment', description: 'User registration/enrollment', defaultCredits: 100, referralMultiplier: 0.2 },
+  { key: 'social_post', label: 'Social Post', description: 'Social media interactions', defaultCredits: 25, referralMultiplier: 0.1 },
+  { key: 'tech_module', label: 'Tech Module', description: 'Technical module completion', defaultCredits: 75, referralMultiplier: 0.15 },
+  {
+    key: 'spend_multiplier',
+    label: 'Spend Multiplier',
+    description: 'Purchase multiplier actions',
+    defaultCredits: 200,
+    referralMultiplier: 0.25,
+    rule: { type: 'metadata_multiplier', metadataField: 'spendAmount', multiplier: 1, min: 0, max: 1000 }
+  },
+  { key: 'coffee_wall', label: 'Coffee Wall', description: 'Coffee wall interactions', defaultCredits: 10, referralMultiplier: 0.05 },
+  { key: 'other', label: 'Other', description: 'Custom actions', defaultCredits: 0, referralMultiplier: 0.1 },
+  { key: 'referral_bonus', label: 'Referral Bonus', description: 'Automatic referral bonuses', internal: true },
+  { key: 'redemption', label: 'Redemption', description: 'Credits spent via the redeem endpoint', internal: true },
+  { key: 'badge_bonus', label: 'Badge Bonus', description: 'Bonus credits for earning a badge', internal: true },
+  { key: 'streak_bonus', label: 'Streak Bonus', description: 'Bonus credits for reaching a streak milestone', internal: true },
+  { key: 'expiration', label: 'Expiration', description: 'Credits removed when they expire', internal: true },
+  { key: 'transfer_out', label: 'Transfer Sent', description: 'Credits sent to another user', internal: true },
+  { key: 'transfer_in', label: 'Transfer Received', description: 'Credits received from another user', internal: true }
+];
+
+const EDITABLE_FIELDS = ['label', 'description', 'defaultCredits', 'referralMultiplier', 'rule', 'caps', 'expiryDays', 'active'];
+
+let registryCache = null;
+let seedPromise = null;
+
+/**
+ * Inserts any default action types that are missing from the registry
+ * @returns {Promise<void>}
+ */
+function ensureDefaultActionTypes() {
+  if (!seedPromise) {
+    seedPromise = ActionType.bulkWrite(DEFAULT_ACTION_TYPES.map(actionType => ({
+      updateOne: {
+        filter: { key: actionType.key },
+        update: { $setOnInsert: actionType },
+        upsert: true
+      }
+    }))).catch(error => {
+      seedPromise = null;
+      throw error;
+    });
+  }
+  return seedPromise;
+}
+
+/**
+ * Loads the registry, using the in-process cache while it is fresh
+ * @returns {Promise<Map>} - Action type records keyed by action type key
+ */
+async function loadRegistry() {
+  if (registryCache && Date.now() - registryCache.loadedAt < REGISTRY_CACHE_TTL_MS) {
+    return registryCache.byKey;
+  }
+
+  await ensureDefaultActionTypes();
+  const records = await ActionType.find().sort({ key: 1 }).lean();
+
+  registryCache = {
+    loadedAt: Date.now(),
+    byKey: new Map(records.map(record => [record.key, record]))
+  };
+
+  return registryCache.byKey;
+}
+
+/**
+ * Lists action types from the registry
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeInactive] - Include deactivated action types
+ * @param {boolean} [options.includeInternal] - Include ledger-internal action types
+ * @returns {Promise<Array>} - Action type records
+ */
+async function listActionTypes(options = {}) {
+  try {
+    const { includeInactive = false, includeInternal = false } = options;
+    const registry = await loadRegistry();
+
+    return [...registry.values()].filter(actionType =>
+      (includeInactive || actionType.active) && (includeInternal || !actionType.internal)
+    );
+  } catch (error) {
+    console.error('Error listing action types:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets a single action type from the registry
+ * @param {string} key - Action type key
+ * @returns {Promise<Object|null>} - Action type record, or null if unknown
+ */
+async function getActionType(key) {
+  const registry = await loadRegistry();
+  return registry.get(key) || null;
+}
+
+/**
+ * Ensures an action type exists, is active and can be awarded through the API
+ * @param {string} key - Action type key
+ * @returns {Promise<Object>} - Action type record
+ */
+async function assertAwardableActionType(key) {
+  const actionType = await getActionType(key);
+
+  if (!actionType || !actionType.active || actionType.internal) {
+    const validTypes = (await listActionTypes()).map(type => type.key);
+    throw createHttpError(400, 'Invalid action type', { validTypes });
+  }
+
+  return actionType;
+}
+
+/**
+ * Creates a new action type
+ * @param {Object} data - Action type fields
+ * @returns {Promise<Object>} - Created action type
+ */
+async function createActionType(data) {
+  try {
+    const { key, label } = data;
+
+    if (!key || !label) {
+      throw createHttpError(400, 'key and label are required');
+    }
+
+    await ensureDefaultActionTypes();
+
+    if (await ActionType.exists({ key })) {
+      throw createHttpError(409, `Action type ${key} already exists`);
+    }
+
+    const fields = pickEditableFields(data);
+    const ruleError = validateRule(fields.rule);
+    if (ruleError) {
+      throw createHttpError(400, ruleError);
+    }
+
+    const actionType = await ActionType.create({ ...fields, key, internal: false });
+
+    registryCache = null;
+    return actionType;
+  } catch (error) {
+    console.error('Error creating action type:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Updates an existing action type
+ * @param {string} key - Action type key
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} - Updated action type
+ */
+async function updateActionType(key, updates) {
+  try {
+    await ensureDefaultActionTypes();
+
+    const actionType = await ActionType.findOne({ key });
+
+    if (!actionType) {
+      throw createHttpError(404, `Action type ${key} not found`);
+    }
+
+    if (actionType.internal) {
+      throw createHttpError(400, `Action type ${key} is managed by the ledger and cannot be changed`);
+    }
+
+    actionType.set(pickEditableFields(updates));
+
+    const ruleError = validateRule(actionType.rule);
+    if (ruleError) {
+      throw createHttpError(400, ruleError);
+    }
+
+    await actionType.save();
+
+    registryCache = null;
+    return actionType;
+  } catch (error) {
+    console.error('Error updating action type:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Picks the fields admins are allowed to set on an action type
+ * @param {Object} data - Raw request data
+ * @returns {Object} - Editable fields present in data
+ */
+function pickEditableFields(data) {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+}
+
+module.exports = {
+  listActionTypes,
+  getActionType,
+  assertAwardableActionType,
+  createActionType,
+  updateActionType
+}; 
\ No newline at end of file
@@ -0,0 +1,151 @@
+const CreditEvent = require('../models/CreditEvent');
+const { buildEventQuery } = require('./ledgerService');
+const { createHttpError } = require('../utils/errors');
+const { assertTimeZone, startOfBucket, nextBucket } = require('../utils/timezone');
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+const GROUP_BY = ['actionType'];
+const MAX_BUCKETS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range covered when no startDate is given
+const DEFAULT_RANGE_MS = {
+  hour: 2 * DAY_MS,
+  day: 30 * DAY_MS,
+  week: 12 * 7 * DAY_MS,
+  month: 365 * DAY_MS
+};
+
+/**
+ * Lists the start of every bucket between two instants
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {string} interval - hour, day, week or month
+ * @param {string} timezone - IANA time zone the buckets follow
+ * @returns {Array<Date>} - Bucket starts, oldest first
+ */
+function listBuckets(startDate, endDate, interval, timezone) {
+  const buckets = [];
+
+  for (let bucket = startOfBucket(startDate, interval, timezone); bucket <= endDate; bucket = nextBucket(bucket, interval, timezone)) {
+    buckets.push(bucket);
+    if (buckets.length > MAX_BUCKETS) {
+      throw createHttpError(400, `Range covers more than ${MAX_BUCKETS} ${interval} buckets, narrow it or use a longer interval`);
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Gets credits and event counts bucketed by hour, day, week or month. Buckets
+ * follow calendar boundaries in the requested time zone (weeks start on
+ * Monday) and empty buckets are included with zero totals. Credits are net:
+ * redemptions and reversals count negative.
+ * @param {Object} [filters] - Time series filters
+ * @param {string} [filters.interval] - hour, day (default), week or month
+ * @param {string} [filters.timezone] - IANA time zone for bucket boundaries (default: UTC)
+ * @param {string} [filters.startDate] - Range start (default: 2 days, 30 days, 12 weeks or a year back, by interval)
+ * @param {string} [filters.endDate] - Range end (default: now)
+ * @param {string} [filters.groupBy] - actionType to split each bucket by action type
+ * @param {string|Array<string>} [filters.actionType] - Only count these action types
+ * @param {string} [filters.userId] - Only count events of this user
+ * @param {string} [filters.referrerId] - Only count events of users referred by this user
+ * @returns {Promise<Object>} - Resolved range, buckets and totals
+ */
+async function getTimeseries(filters = {}) {
+  try {
+    const { interval = 'day', timezone = 'UTC', groupBy = null, actionType, userId, referrerId } = filters;
+
+    if (!INTERVALS.includes(interval)) {
+      throw createHttpError(400, 'Invalid interval', { validIntervals: INTERVALS });
+    }
+    if (groupBy && !GROUP_BY.includes(groupBy)) {
+      throw createHttpError(400, 'Invalid groupBy', { validGroupBy: GROUP_BY });
+    }
+    assertTimeZone(timezone);
+
+    const endDate = filters.endDate ? new Date(filters.endDate) : new Date();
+    const startDate = filters.startDate
+      ? new Date(filters.startDate)
+      : new Date(endDate.getTime() - DEFAULT_RANGE_MS[interval]);
+
+    if (isNaN(startDate) || isNaN(endDate)) {
+      throw createHttpError(400, 'startDate and endDate must be valid dates');
+    }
+    if (startDate > endDate) {
+      throw createHttpError(400, 'startDate must be before endDate');
+    }
+
+    const buckets = listBuckets(startDate, endDate, interval, timezone);
+    const match = buildEventQuery({ actionType, userId, referrerId, startDate, endDate });
+
+    const results = await CreditEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            bucket: {
+              $dateTrunc: { date: '$timestamp', unit: interval, timezone, startOfWeek: 'monday' }
+            },
+            actionType: groupBy === 'actionType' ? '$actionType' : null
+          },
+          credits: { $sum: '$creditsAwarded' },
+          eventCount: { $sum: 1 }
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const byBucket = new Map(buckets.map(bucket => [bucket.getTime(), {
+      bucket,
+      credits: 0,
+      eventCount: 0,
+      byActionType: groupBy === 'actionType' ? {} : undefined
+    }]));
+
+    results.forEach(result => {
+      const entry = byBucket.get(result._id.bucket.getTime());
+
+      if (!entry) {
+        return;
+      }
+
+      entry.credits += result.credits;
+      entry.eventCount += result.eventCount;
+      if (entry.byActionType) {
+        entry.byActionType[result._id.actionType] = {
+          credits: result.credits,
+          eventCount: result.eventCount
+        };
+      }
+    });
+
+    const series = [...byBucket.values()];
+
+    return {
+      interval,
+      timezone,
+      startDate,
+      endDate,
+      groupBy,
+      filters: {
+        actionType: actionType || null,
+        userId: userId || null,
+        referrerId: referrerId || null
+      },
+      buckets: series,
+      totals: {
+        credits: series.reduce((sum, entry) => sum + entry.credits, 0),
+        eventCount: series.reduce((sum, entry) => sum + entry.eventCount, 0)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error getting time series:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getTimeseries
+}; 
\ No newline at end of file
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+
+const KEY_PREFIX = 'ce';
+
+// Only record lastUsedAt once per interval to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hashes an API key for storage and comparison
+ * @param {string} key - Full API key
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Creates a new API key
+ * @param {Object} data - API key data
+ * @param {string} data.name - Human readable name of the key's owner or purpose
+ * @param {Array<string>} data.scopes - Scopes granted to the key
+ * @returns {Promise<Object>} - Stored key record and the plaintext key (only returned here)
+ */
+async function createApiKey(data) {
+  try {
+    const { name, scopes } = data;
+
+    if (!name || !Array.isArray(scopes)) {
+      throw createHttpError(400, 'name and a scopes array are required', { validScopes: ApiKey.SCOPES });
+    }
+
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      keyId,
+      name,
+      keyHash: hashApiKey(key),
+      scopes: [...new Set(scopes)]
+    });
+
+    return { apiKey, key };
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Lists API keys, without their hashes
+ * @returns {Promise<Array>} - API key records
+ */
+async function listApiKeys() {
+  try {
+    return await ApiKey.find().select('-keyHash').sort({ createdAt: -1 });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revokes an API key so it can no longer authenticate
+ * @param {string} keyId - Public identifier of the key
+ * @returns {Promise<Object>} - Revoked key record
+ */
+async function revokeApiKey(keyId) {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { keyId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).select('-keyHash');
+
+    if (!apiKey) {
+      throw createHttpError(404, `Active API key ${keyId} not found`);
+    }
+
+    return apiKey;
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resolves a presented API key to its record
+ * @param {string} key - Full API key from the request
+ * @returns {Promise<Object|null>} - Key id and scopes, or null if the key is unknown or revoked
+ */
+async function verifyApiKey(key) {
+  const [prefix, keyId] = key.split('_');
+
+  if (prefix !== KEY_PREFIX || !keyId) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ keyId, revokedAt: null });
+
+  if (!apiKey) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const provided = Buffer.from(hashApiKey(key), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.warn('Could not update API key lastUsedAt:', error.message));
+  }
+
+  return {
+    keyId: apiKey.keyId,
+    name: apiKey.name,
+    scopes: apiKey.scopes
+  };
+}
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey
+}; 
\ No newline at end of file
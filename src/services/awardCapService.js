@@ -0,0 +1,218 @@
+const AwardUsage = require('../models/AwardUsage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Credits a single user can earn per UTC day across all action types, unset means unlimited
+const USER_DAILY_CREDIT_CAP = process.env.USER_DAILY_CREDIT_CAP
+  ? parseInt(process.env.USER_DAILY_CREDIT_CAP)
+  : null;
+
+/**
+ * Start of the UTC day containing a date
+ * @param {Date} date - Any date
+ * @returns {Date}
+ */
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Start of the UTC week (Monday) containing a date
+ * @param {Date} date - Any date
+ * @returns {Date}
+ */
+function startOfUtcWeek(date) {
+  const day = startOfUtcDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+/**
+ * Lists the cap windows an award counts against. Windows that closed before
+ * now are left out: their counters expire with them, so awards backdated into
+ * them (e.g. imports) could not be capped consistently.
+ * @param {Object} award - Award to check
+ * @param {string} award.userId - User receiving the credits
+ * @param {Object} award.actionType - Action type record from the registry
+ * @param {Date} award.timestamp - When the award happens
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} - Windows as { cap, limit, key, resetsAt }
+ */
+function capWindows(award, now) {
+  const { userId, actionType, timestamp } = award;
+  const caps = actionType.caps || {};
+  const day = startOfUtcDay(timestamp);
+  const week = startOfUtcWeek(timestamp);
+  const dayKey = day.toISOString().slice(0, 10);
+  const nextDay = new Date(day.getTime() + DAY_MS);
+  const windows = [];
+
+  if (caps.perUserPerDay != null) {
+    windows.push({
+      cap: 'perUserPerDay',
+      limit: caps.perUserPerDay,
+      key: `user:${userId}:action:${actionType.key}:day:${dayKey}`,
+      resetsAt: nextDay
+    });
+  }
+
+  if (caps.perUserPerWeek != null) {
+    windows.push({
+      cap: 'perUserPerWeek',
+      limit: caps.perUserPerWeek,
+      key: `user:${userId}:action:${actionType.key}:week:${week.toISOString().slice(0, 10)}`,
+      resetsAt: new Date(week.getTime() + 7 * DAY_MS)
+    });
+  }
+
+  if (USER_DAILY_CREDIT_CAP != null) {
+    windows.push({
+      cap: 'userTotalPerDay',
+      limit: USER_DAILY_CREDIT_CAP,
+      key: `user:${userId}:day:${dayKey}`,
+      resetsAt: nextDay
+    });
+  }
+
+  if (caps.globalPerDay != null) {
+    windows.push({
+      cap: 'globalPerDay',
+      limit: caps.globalPerDay,
+      key: `action:${actionType.key}:day:${dayKey}`,
+      resetsAt: nextDay
+    });
+  }
+
+  if (caps.globalTotal != null) {
+    windows.push({
+      cap: 'globalTotal',
+      limit: caps.globalTotal,
+      key: `action:${actionType.key}:total`,
+      resetsAt: null
+    });
+  }
+
+  return windows.filter(window => !window.resetsAt || window.resetsAt > now);
+}
+
+/**
+ * Reduces awards to the headroom left under their caps and records the
+ * credits granted against every cap window. Awards are applied in order, so
+ * earlier awards in a batch use up headroom before later ones. Pass the
+ * session of the transaction writing the events so the counters only change
+ * if the events commit.
+ * @param {Array<Object>} awards - Awards as { userId, actionType (registry record), credits, timestamp }
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction the awards are written in
+ * @param {boolean} [options.dryRun] - Work out the headroom without recording any usage
+ * @returns {Promise<Array<Object>>} - Per award: requestedCredits, credits granted, whether it was
+ *   capped, the caps that limited it, and the headroom left in each window
+ */
+async function applyAwardCaps(awards, options = {}) {
+  const { session, dryRun = false } = options;
+  const now = new Date();
+  const windowsByAward = awards.map(award => capWindows(award, now));
+  const keys = [...new Set(windowsByAward.flat().map(window => window.key))];
+
+  if (keys.length === 0) {
+    return awards.map(award => ({
+      requestedCredits: award.credits,
+      credits: award.credits,
+      capped: false,
+      limitedBy: [],
+      headroom: {}
+    }));
+  }
+
+  const usageRecords = await AwardUsage.find({ key: { $in: keys } }).session(session || null).lean();
+  const used = new Map(keys.map(key => [key, 0]));
+  usageRecords.forEach(record => used.set(record.key, record.credits));
+
+  const granted = new Map();
+
+  const results = awards.map((award, index) => {
+    const windows = windowsByAward[index];
+    const remainingBefore = windows.map(window => Math.max(0, window.limit - used.get(window.key)));
+    const credits = Math.min(award.credits, ...remainingBefore);
+
+    windows.forEach(window => {
+      used.set(window.key, used.get(window.key) + credits);
+      granted.set(window.key, (granted.get(window.key) || 0) + credits);
+    });
+
+    return {
+      requestedCredits: award.credits,
+      credits,
+      capped: credits < award.credits,
+      limitedBy: windows.filter((window, i) => remainingBefore[i] < award.credits).map(window => window.cap),
+      headroom: windows.reduce((headroom, window) => {
+        headroom[window.cap] = {
+          limit: window.limit,
+          used: used.get(window.key),
+          remaining: Math.max(0, window.limit - used.get(window.key)),
+          resetsAt: window.resetsAt
+        };
+        return headroom;
+      }, {})
+    };
+  });
+
+  const windowsByKey = new Map(windowsByAward.flat().map(window => [window.key, window]));
+  const updates = [...granted].filter(([, credits]) => credits > 0).map(([key, credits]) => {
+    const { resetsAt } = windowsByKey.get(key);
+    return {
+      updateOne: {
+        filter: { key },
+        update: {
+          $inc: { credits },
+          // Keep counters a day past their window so headroom stays visible around midnight
+          $setOnInsert: { expiresAt: resetsAt ? new Date(resetsAt.getTime() + DAY_MS) : null }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (updates.length > 0 && !dryRun) {
+    await AwardUsage.bulkWrite(updates, { session });
+  }
+
+  return results;
+}
+
+/**
+ * Gives back the cap usage of reversed awards, so clawed-back credits no
+ * longer count against the windows they were granted in. Windows that have
+ * closed are left alone. Counters never drop below 0, e.g. when a cap was
+ * added after the award.
+ * @param {Array<Object>} awards - Reversed awards as { userId, actionType (registry record), credits, timestamp }
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction the reversals are written in
+ * @returns {Promise<void>}
+ */
+async function releaseAwardCaps(awards, options = {}) {
+  const { session } = options;
+  const now = new Date();
+  const released = new Map();
+
+  awards.filter(award => award.credits > 0).forEach(award => {
+    capWindows(award, now).forEach(window => {
+      released.set(window.key, (released.get(window.key) || 0) + award.credits);
+    });
+  });
+
+  const updates = [...released].map(([key, credits]) => ({
+    updateOne: {
+      filter: { key },
+      update: [{ $set: { credits: { $max: [0, { $subtract: ['$credits', credits] }] } } }]
+    }
+  }));
+
+  if (updates.length > 0) {
+    await AwardUsage.bulkWrite(updates, { session });
+  }
+}
+
+module.exports = {
+  applyAwardCaps,
+  releaseAwardCaps
+}; 
\ No newline at end of file
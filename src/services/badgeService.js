@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const BADGES = require('../config/badges');
+const UserBadge = require('../models/UserBadge');
+const CreditEvent = require('../models/CreditEvent');
+const { applyEventsToBalances } = require('./balanceService');
+const { getCurrentStreak, isStreakActionType } = require('./streakService');
+
+/**
+ * Whether recording an event can move a user closer to a badge, so badges
+ * unrelated to the event are not measured on every award
+ * @param {Object} rule - Badge rule
+ * @param {Object} event - Event just recorded
+ * @returns {boolean}
+ */
+function isTriggeredBy(rule, event) {
+  if (rule.type === 'event_count') {
+    return event.actionType === rule.actionType;
+  }
+  if (rule.type === 'referral_count') {
+    return event.actionType === 'referral_bonus' && (event.referralLevel || 1) === 1;
+  }
+  if (rule.type === 'streak_days') {
+    return isStreakActionType(event.actionType) && (!rule.actionType || rule.actionType === event.actionType);
+  }
+  return false;
+}
+
+/**
+ * Measures how far a user is towards a badge
+ * @param {string} userId - User ID
+ * @param {Object} badge - Badge definition
+ * @param {Object} [options] - Read options
+ * @param {ClientSession} [options.session] - Transaction to read in
+ * @returns {Promise<Object>} - { current, target }
+ */
+async function measureProgress(userId, badge, options = {}) {
+  const { rule } = badge;
+  const session = options.session || null;
+
+  if (rule.type === 'event_count') {
+    const current = await CreditEvent.countDocuments({
+      userId,
+      actionType: rule.actionType,
+      reversalOf: null,
+      reversedByEventId: null
+    }).session(session);
+
+    return { current: Math.min(current, rule.count), target: rule.count };
+  }
+
+  if (rule.type === 'referral_count') {
+    const [result] = await CreditEvent.aggregate([
+      {
+        $match: {
+          userId,
+          actionType: 'referral_bonus',
+          referralLevel: { $in: [null, 1] },
+          reversalOf: null,
+          reversedByEventId: null
+        }
+      },
+      { $group: { _id: '$metadata.triggeredBy' } },
+      { $count: 'referredUsers' }
+    ]).session(session);
+
+    return { current: Math.min(result ? result.referredUsers : 0, rule.count), target: rule.count };
+  }
+
+  if (rule.type === 'streak_days') {
+    // The streak is the one recordStreakActivity keeps, extended before badges are checked
+    const current = await getCurrentStreak(userId, { actionType: rule.actionType, session });
+
+    return { current: Math.min(current, rule.days), target: rule.days };
+  }
+
+  throw new Error(`Unknown badge rule type ${rule.type} for badge ${badge.key}`);
+}
+
+/**
+ * Awards the badges a user has just reached, with their bonus credits. Call it
+ * in the transaction recording the triggering event, after saving it.
+ * @param {string} userId - User ID
+ * @param {Object} event - Event just recorded for the user
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction the event is written in
+ * @param {string} [options.apiKeyId] - API key recording the event
+ * @returns {Promise<Array>} - Earned badges: { userId, badge, earnedAt, bonusEvent }
+ */
+async function evaluateBadges(userId, event, options = {}) {
+  const { session, apiKeyId = null } = options;
+  const candidates = BADGES.filter(badge => isTriggeredBy(badge.rule, event));
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const earnedKeys = (await UserBadge.find({ userId }).session(session || null).select('badgeKey'))
+    .map(userBadge => userBadge.badgeKey);
+  const earned = [];
+
+  // Sequential: reads in a transaction cannot run in parallel on its session
+  for (const badge of candidates.filter(candidate => !earnedKeys.includes(candidate.key))) {
+    const progress = await measureProgress(userId, badge, { session });
+
+    if (progress.current < progress.target) {
+      continue;
+    }
+
+    const earnedAt = new Date();
+    const bonusEventId = badge.bonusCredits > 0 ? new mongoose.Types.ObjectId() : null;
+
+    // A concurrent award that earned the badge first keeps it
+    const result = await UserBadge.updateOne(
+      { userId, badgeKey: badge.key },
+      { $setOnInsert: { earnedAt, eventId: event._id, bonusEventId } },
+      { upsert: true, session }
+    );
+    if (result.upsertedCount !== 1) {
+      continue;
+    }
+
+    let bonusEvent = null;
+    if (bonusEventId) {
+      bonusEvent = await new CreditEvent({
+        _id: bonusEventId,
+        userId,
+        actionType: 'badge_bonus',
+        creditsAwarded: badge.bonusCredits,
+        awardBreakdown: { source: 'badge', badge: badge.key, credits: badge.bonusCredits },
+        sourceEventId: event._id,
+        timestamp: earnedAt,
+        metadata: { badge: badge.key },
+        apiKeyId
+      }).save({ session });
+      await applyEventsToBalances([bonusEvent], { session });
+    }
+
+    earned.push({ userId, badge, earnedAt, bonusEvent });
+  }
+
+  return earned;
+}
+
+/**
+ * Lists every badge with whether the user earned it and when, and their
+ * progress towards the ones they have not earned yet
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Badges and earned count
+ */
+async function getUserBadges(userId) {
+  try {
+    const userBadges = await UserBadge.find({ userId });
+    const byKey = new Map(userBadges.map(userBadge => [userBadge.badgeKey, userBadge]));
+    const badges = [];
+
+    for (const badge of BADGES) {
+      const userBadge = byKey.get(badge.key);
+      const progress = userBadge
+        ? null
+        : await measureProgress(userId, badge);
+
+      badges.push({
+        key: badge.key,
+        name: badge.name,
+        description: badge.description,
+        bonusCredits: badge.bonusCredits,
+        earned: !!userBadge,
+        earnedAt: userBadge ? userBadge.earnedAt : null,
+        bonusEventId: userBadge ? userBadge.bonusEventId : null,
+        progress: progress && {
+          ...progress,
+          percent: Math.floor(progress.current / progress.target * 100)
+        }
+      });
+    }
+
+    return {
+      userId,
+      earnedCount: badges.filter(badge => badge.earned).length,
+      totalCount: badges.length,
+      badges
+    };
+  } catch (error) {
+    console.error('Error getting user badges:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  evaluateBadges,
+  getUserBadges
+}; 
\ No newline at end of file
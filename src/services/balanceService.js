@@ -0,0 +1,352 @@
+const CreditEvent = require('../models/CreditEvent');
+const UserBalance = require('../models/UserBalance');
+const { applyEventsToLots } = require('./creditLotService');
+
+const { DEBIT_ACTION_TYPES } = CreditEvent;
+
+const REBUILD_BATCH_SIZE = 500;
+const MAX_REPORTED_MISMATCHES = 100;
+
+/**
+ * Folds credit events into their users' balance projections and credit lots.
+ * Pass the session of the transaction that wrote the events so they all commit
+ * together.
+ * @param {Array<Object>} events - Newly recorded credit events
+ * @param {Object} [options] - Update options
+ * @param {ClientSession} [options.session] - Transaction the events were written in
+ * @returns {Promise<void>}
+ */
+async function applyEventsToBalances(events, options = {}) {
+  const { session } = options;
+  const updatesByUser = new Map();
+
+  for (const event of events) {
+    if (!updatesByUser.has(event.userId)) {
+      updatesByUser.set(event.userId, {
+        $inc: { earnedCredits: 0, spentCredits: 0, totalEvents: 0 },
+        $max: { lastActivity: event.timestamp }
+      });
+    }
+
+    const update = updatesByUser.get(event.userId);
+    const countPath = `creditsByAction.${event.actionType}.count`;
+    const totalPath = `creditsByAction.${event.actionType}.totalCredits`;
+
+    if (DEBIT_ACTION_TYPES.includes(event.actionType)) {
+      update.$inc.spentCredits -= event.creditsAwarded;
+    } else {
+      update.$inc.earnedCredits += event.creditsAwarded;
+    }
+    update.$inc.totalEvents += 1;
+    update.$inc[countPath] = (update.$inc[countPath] || 0) + 1;
+    update.$inc[totalPath] = (update.$inc[totalPath] || 0) + event.creditsAwarded;
+
+    if (event.timestamp > update.$max.lastActivity) {
+      update.$max.lastActivity = event.timestamp;
+    }
+  }
+
+  if (updatesByUser.size === 0) {
+    return;
+  }
+
+  const seeds = await seedMissingProjections([...updatesByUser.keys()], events, { session });
+
+  await UserBalance.bulkWrite([
+    ...seeds,
+    ...[...updatesByUser].map(([userId, update]) => ({
+      updateOne: { filter: { userId }, update, upsert: true }
+    }))
+  ], { session });
+  await applyEventsToLots(events, { session });
+}
+
+/**
+ * Builds the writes that create projections for users who have events from
+ * before projections were kept but no projection yet, so their first new
+ * event does not start them from zero
+ * @param {Array<string>} userIds - Users the events belong to
+ * @param {Array<Object>} events - Events about to be folded in, left out of the seed
+ * @param {Object} [options] - Read options
+ * @param {ClientSession} [options.session] - Transaction the events were written in
+ * @returns {Promise<Array>} - bulkWrite operations, to run before the increments
+ */
+async function seedMissingProjections(userIds, events, options = {}) {
+  const session = options.session || null;
+  const existing = await UserBalance.find({ userId: { $in: userIds } }).select('userId').session(session).lean();
+  const existingUserIds = new Set(existing.map(projection => projection.userId));
+  const missingUserIds = userIds.filter(userId => !existingUserIds.has(userId));
+
+  if (missingUserIds.length === 0) {
+    return [];
+  }
+
+  const summaries = await summarizeLedger({
+    userId: { $in: missingUserIds },
+    _id: { $nin: events.map(event => event._id) }
+  }).session(session);
+
+  // A concurrent write that created the projection first wins, its events are already in it
+  return summaries.map(summary => ({
+    updateOne: { filter: { userId: summary._id }, update: { $setOnInsert: toBalanceFields(summary) }, upsert: true }
+  }));
+}
+
+/**
+ * Gets a user's balance from their projection. Users without a projection
+ * (no events since projections were introduced) and past balances are
+ * summarised from the ledger instead.
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Read options
+ * @param {ClientSession} [options.session] - Transaction to read in
+ * @param {Date} [options.asOf] - Balance as it stood at this time, counting events up to and including it
+ * @returns {Promise<Object>} - Earned, spent and available credits, per-action breakdown and last activity
+ */
+async function getUserBalance(userId, options = {}) {
+  const { session, asOf } = options;
+  let fields = asOf ? null : await UserBalance.findOne({ userId }).session(session || null).lean();
+
+  if (!fields) {
+    const match = asOf ? { userId, timestamp: { $lte: asOf } } : { userId };
+    const [summary] = await summarizeLedger(match).session(session || null);
+    fields = summary ? toBalanceFields(summary) : null;
+  }
+
+  const earnedCredits = fields ? fields.earnedCredits : 0;
+  const spentCredits = fields ? fields.spentCredits : 0;
+
+  return {
+    userId,
+    earnedCredits,
+    spentCredits,
+    availableCredits: earnedCredits - spentCredits,
+    totalEvents: fields ? fields.totalEvents : 0,
+    creditsByAction: fields ? fields.creditsByAction : {},
+    lastActivity: fields ? fields.lastActivity : null
+  };
+}
+
+/**
+ * Aggregates the ledger into one balance summary per user
+ * @param {Object} [match] - CreditEvent filter limiting the users summarised
+ * @returns {Aggregate} - Aggregation yielding { _id: userId, actions, totalEvents, lastActivity }
+ */
+function summarizeLedger(match = {}) {
+  return CreditEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { userId: '$userId', actionType: '$actionType' },
+        count: { $sum: 1 },
+        totalCredits: { $sum: '$creditsAwarded' },
+        lastActivity: { $max: '$timestamp' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.userId',
+        actions: { $push: { actionType: '$_id.actionType', count: '$count', totalCredits: '$totalCredits' } },
+        totalEvents: { $sum: '$count' },
+        lastActivity: { $max: '$lastActivity' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]).allowDiskUse(true);
+}
+
+/**
+ * Converts a ledger summary into the fields stored on a balance projection
+ * @param {Object} summary - Result of summarizeLedger for one user
+ * @returns {Object} - UserBalance fields
+ */
+function toBalanceFields(summary) {
+  const fields = {
+    userId: summary._id,
+    earnedCredits: 0,
+    spentCredits: 0,
+    totalEvents: summary.totalEvents,
+    creditsByAction: {},
+    lastActivity: summary.lastActivity
+  };
+
+  for (const { actionType, count, totalCredits } of summary.actions) {
+    if (DEBIT_ACTION_TYPES.includes(actionType)) {
+      fields.spentCredits -= totalCredits;
+    } else {
+      fields.earnedCredits += totalCredits;
+    }
+    fields.creditsByAction[actionType] = { count, totalCredits };
+  }
+
+  return fields;
+}
+
+/**
+ * Regenerates balance projections by replaying the ledger. Events recorded
+ * while a rebuild runs may be counted twice or not at all, so pause writes
+ * (or re-run the consistency check afterwards) when rebuilding a live system.
+ * @param {Object} [options] - Rebuild options
+ * @param {string} [options.userId] - Only rebuild this user's projection
+ * @returns {Promise<Object>} - Number of projections rebuilt and removed
+ */
+async function rebuildBalances(options = {}) {
+  try {
+    const { userId } = options;
+    const startedAt = new Date();
+    let rebuilt = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await UserBalance.bulkWrite(batch.map(fields => ({
+        replaceOne: { filter: { userId: fields.userId }, replacement: fields, upsert: true }
+      })));
+      rebuilt += batch.length;
+      batch = [];
+    };
+
+    for await (const summary of summarizeLedger(userId ? { userId } : {})) {
+      batch.push(toBalanceFields(summary));
+      if (batch.length >= REBUILD_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    // Every projection backed by events was just rewritten; the rest have no events left
+    const removed = await UserBalance.deleteMany(
+      userId ? { userId, updatedAt: { $lt: startedAt } } : { updatedAt: { $lt: startedAt } }
+    );
+
+    return { rebuilt, removed: removed.deletedCount };
+  } catch (error) {
+    console.error('Error rebuilding balances:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compares balance projections with totals computed from the raw ledger
+ * @param {Object} [options] - Check options
+ * @param {string} [options.userId] - Only check this user
+ * @returns {Promise<Object>} - Counts of checked and mismatched users, and the first mismatches found
+ */
+async function checkBalanceConsistency(options = {}) {
+  try {
+    const { userId } = options;
+    const mismatches = [];
+    let checkedUsers = 0;
+    let mismatchedUsers = 0;
+    let batch = [];
+
+    const report = (mismatch) => {
+      mismatchedUsers += 1;
+      if (mismatches.length < MAX_REPORTED_MISMATCHES) {
+        mismatches.push(mismatch);
+      }
+    };
+
+    const compareBatch = async () => {
+      if (batch.length === 0) return;
+      const projections = await UserBalance.find({ userId: { $in: batch.map(fields => fields.userId) } }).lean();
+      const projectionsByUser = new Map(projections.map(projection => [projection.userId, projection]));
+
+      for (const expected of batch) {
+        const differences = diffBalance(expected, projectionsByUser.get(expected.userId));
+        if (differences.length > 0) {
+          report({ userId: expected.userId, differences });
+        }
+      }
+      checkedUsers += batch.length;
+      batch = [];
+    };
+
+    for await (const summary of summarizeLedger(userId ? { userId } : {})) {
+      batch.push(toBalanceFields(summary));
+      if (batch.length >= REBUILD_BATCH_SIZE) {
+        await compareBatch();
+      }
+    }
+    await compareBatch();
+
+    // Projections for users who have no events in the ledger
+    const projectionQuery = userId ? { userId } : {};
+    let orphaned = [];
+
+    const compareOrphans = async () => {
+      if (orphaned.length === 0) return;
+      const usersWithEvents = new Set(await CreditEvent.distinct('userId', { userId: { $in: orphaned } }));
+      for (const orphanUserId of orphaned) {
+        if (!usersWithEvents.has(orphanUserId)) {
+          report({ userId: orphanUserId, differences: [{ field: 'projection', expected: null, actual: 'exists' }] });
+        }
+      }
+      orphaned = [];
+    };
+
+    for await (const projection of UserBalance.find(projectionQuery).select('userId').lean().cursor()) {
+      orphaned.push(projection.userId);
+      if (orphaned.length >= REBUILD_BATCH_SIZE) {
+        await compareOrphans();
+      }
+    }
+    await compareOrphans();
+
+    return {
+      consistent: mismatchedUsers === 0,
+      checkedUsers,
+      mismatchedUsers,
+      mismatches
+    };
+  } catch (error) {
+    console.error('Error checking balance consistency:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lists the fields where a projection differs from the ledger
+ * @param {Object} expected - Balance fields computed from the ledger
+ * @param {Object} [actual] - Stored projection
+ * @returns {Array<Object>} - Differences as { field, expected, actual }
+ */
+function diffBalance(expected, actual) {
+  if (!actual) {
+    return [{ field: 'projection', expected: 'exists', actual: null }];
+  }
+
+  const differences = [];
+  const compare = (field, expectedValue, actualValue) => {
+    if (expectedValue !== actualValue) {
+      differences.push({ field, expected: expectedValue, actual: actualValue });
+    }
+  };
+
+  compare('earnedCredits', expected.earnedCredits, actual.earnedCredits);
+  compare('spentCredits', expected.spentCredits, actual.spentCredits);
+  compare('totalEvents', expected.totalEvents, actual.totalEvents);
+  compare(
+    'lastActivity',
+    expected.lastActivity ? expected.lastActivity.getTime() : null,
+    actual.lastActivity ? actual.lastActivity.getTime() : null
+  );
+
+  const actualByAction = actual.creditsByAction || {};
+  const actionTypes = new Set([...Object.keys(expected.creditsByAction), ...Object.keys(actualByAction)]);
+
+  for (const actionType of actionTypes) {
+    const expectedAction = expected.creditsByAction[actionType] || { count: 0, totalCredits: 0 };
+    const actualAction = actualByAction[actionType] || { count: 0, totalCredits: 0 };
+    compare(`creditsByAction.${actionType}.count`, expectedAction.count, actualAction.count);
+    compare(`creditsByAction.${actionType}.totalCredits`, expectedAction.totalCredits, actualAction.totalCredits);
+  }
+
+  return differences;
+}
+
+module.exports = {
+  applyEventsToBalances,
+  getUserBalance,
+  rebuildBalances,
+  checkBalanceConsistency
+}; 
\ No newline at end of file
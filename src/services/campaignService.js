@@ -0,0 +1,372 @@
+const Campaign = require('../models/Campaign');
+const CreditEvent = require('../models/CreditEvent');
+const { listActionTypes } = require('./actionTypeService');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'actionTypes',
+  'startsAt',
+  'endsAt',
+  'multiplier',
+  'flatBonus',
+  'segment',
+  'budget',
+  'active'
+];
+
+const STATUSES = ['scheduled', 'running', 'ended', 'inactive'];
+
+/**
+ * Works out where a campaign is in its lifecycle
+ * @param {Object} campaign - Campaign record
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {string} - scheduled, running, ended or inactive
+ */
+function getCampaignStatus(campaign, now = new Date()) {
+  if (!campaign.active) return 'inactive';
+  if (campaign.startsAt > now) return 'scheduled';
+  if (campaign.endsAt <= now) return 'ended';
+  return 'running';
+}
+
+/**
+ * Shapes a campaign for API responses, with its status and remaining budget
+ * @param {Object} campaign - Campaign document
+ * @returns {Object}
+ */
+function toCampaignResponse(campaign) {
+  return {
+    ...campaign.toObject(),
+    status: getCampaignStatus(campaign),
+    budgetRemaining: campaign.budget === null ? null : Math.max(0, campaign.budget - campaign.creditsSpent)
+  };
+}
+
+/**
+ * Checks a campaign's fields once they are set on the document
+ * @param {Object} campaign - Campaign document
+ * @returns {Promise<void>}
+ */
+async function validateCampaign(campaign) {
+  if (campaign.startsAt && campaign.endsAt && campaign.startsAt >= campaign.endsAt) {
+    throw createHttpError(400, 'startsAt must be before endsAt');
+  }
+
+  if (campaign.multiplier <= 1 && campaign.flatBonus <= 0) {
+    throw createHttpError(400, 'A campaign needs a multiplier above 1 or a flatBonus');
+  }
+
+  const awardableTypes = (await listActionTypes({ includeInactive: true })).map(actionType => actionType.key);
+  const invalidTypes = campaign.actionTypes.filter(actionType => !awardableTypes.includes(actionType));
+
+  if (invalidTypes.length > 0) {
+    throw createHttpError(400, `Invalid action types: ${invalidTypes.join(', ')}`, { validTypes: awardableTypes });
+  }
+
+  const { metadata } = campaign.segment || {};
+  if (metadata !== null && metadata !== undefined && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    throw createHttpError(400, 'segment.metadata must be an object of metadata values');
+  }
+}
+
+/**
+ * Picks the fields admins are allowed to set on a campaign
+ * @param {Object} data - Raw request data
+ * @returns {Object} - Editable fields present in data
+ */
+function pickEditableFields(data) {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * Creates a campaign
+ * @param {Object} data - Campaign fields
+ * @param {Object} [options] - Options
+ * @param {string} [options.createdBy] - API key creating the campaign
+ * @returns {Promise<Object>} - Created campaign
+ */
+async function createCampaign(data, options = {}) {
+  try {
+    const campaign = new Campaign({
+      ...pickEditableFields(data),
+      createdBy: options.createdBy || null
+    });
+
+    await validateCampaign(campaign);
+    await campaign.save();
+
+    return toCampaignResponse(campaign);
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Lists campaigns, newest first
+ * @param {Object} [filters] - Filter options
+ * @param {string} [filters.status] - scheduled, running, ended or inactive (default: all)
+ * @param {number} [filters.limit] - Limit number of results (default: 50, max: 100)
+ * @param {number} [filters.skip] - Skip number of results (default: 0)
+ * @returns {Promise<Object>} - Campaigns and pagination
+ */
+async function listCampaigns(filters = {}) {
+  try {
+    const { status, limit = 50, skip = 0 } = filters;
+    const now = new Date();
+    const query = {};
+
+    if (status && !STATUSES.includes(status)) {
+      throw createHttpError(400, 'Invalid status', { validStatuses: STATUSES });
+    }
+
+    if (status === 'inactive') {
+      query.active = false;
+    } else if (status === 'scheduled') {
+      Object.assign(query, { active: true, startsAt: { $gt: now } });
+    } else if (status === 'running') {
+      Object.assign(query, { active: true, startsAt: { $lte: now }, endsAt: { $gt: now } });
+    } else if (status === 'ended') {
+      Object.assign(query, { active: true, endsAt: { $lte: now } });
+    }
+
+    const [campaigns, totalCount] = await Promise.all([
+      Campaign.find(query)
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(Math.min(limit, 100)),
+      Campaign.countDocuments(query)
+    ]);
+
+    return {
+      campaigns: campaigns.map(toCampaignResponse),
+      pagination: {
+        totalCount,
+        limit,
+        skip,
+        hasMore: (skip + campaigns.length) < totalCount
+      }
+    };
+  } catch (error) {
+    console.error('Error listing campaigns:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Loads a campaign document
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - Campaign document
+ */
+async function findCampaign(campaignId) {
+  const campaign = await Campaign.findById(campaignId);
+
+  if (!campaign) {
+    throw createHttpError(404, `Campaign ${campaignId} not found`);
+  }
+
+  return campaign;
+}
+
+/**
+ * Gets a single campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - Campaign
+ */
+async function getCampaign(campaignId) {
+  try {
+    return toCampaignResponse(await findCampaign(campaignId));
+  } catch (error) {
+    console.error('Error getting campaign:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Updates a campaign. Set active to false to stop a campaign early.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} - Updated campaign
+ */
+async function updateCampaign(campaignId, updates) {
+  try {
+    const campaign = await findCampaign(campaignId);
+
+    campaign.set(pickEditableFields(updates));
+    await validateCampaign(campaign);
+    await campaign.save();
+
+    return toCampaignResponse(campaign);
+  } catch (error) {
+    console.error('Error updating campaign:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Whether an award falls in a campaign's user segment
+ * @param {Object} campaign - Campaign record
+ * @param {string} userId - User receiving the award
+ * @param {Object} metadata - Award metadata
+ * @returns {boolean}
+ */
+function matchesSegment(campaign, userId, metadata) {
+  const { userIds = [], metadata: segmentMetadata } = campaign.segment || {};
+
+  if (userIds.length > 0 && !userIds.includes(userId)) {
+    return false;
+  }
+
+  return Object.entries(segmentMetadata || {}).every(([field, value]) => metadata[field] === value);
+}
+
+/**
+ * Finds the running campaign giving an award the most extra credits. Campaigns
+ * do not stack: only the best one applies, limited by its remaining budget.
+ * @param {Object} award - Award to boost
+ * @param {string} award.userId - User receiving the credits
+ * @param {string} award.actionType - Action type key
+ * @param {number} award.credits - Credits computed from the action type's rule
+ * @param {Object} [award.metadata] - Award metadata, matched against segments
+ * @param {Date} award.timestamp - When the award happens
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction the award is written in
+ * @returns {Promise<Object|null>} - { campaign, bonusCredits }, or null if no campaign applies
+ */
+async function findBestCampaign(award, options = {}) {
+  const { userId, actionType, credits, metadata = {}, timestamp } = award;
+
+  const campaigns = await Campaign.find({
+    active: true,
+    startsAt: { $lte: timestamp },
+    endsAt: { $gt: timestamp },
+    $or: [{ actionTypes: actionType }, { actionTypes: { $size: 0 } }]
+  }).session(options.session || null);
+
+  let best = null;
+
+  campaigns
+    .filter(campaign => matchesSegment(campaign, userId, metadata))
+    .forEach(campaign => {
+      const boost = Math.floor(credits * campaign.multiplier) - credits + campaign.flatBonus;
+      const bonusCredits = campaign.budget === null
+        ? boost
+        : Math.min(boost, Math.max(0, campaign.budget - campaign.creditsSpent));
+
+      if (bonusCredits > 0 && (!best || bonusCredits > best.bonusCredits)) {
+        best = { campaign, bonusCredits };
+      }
+    });
+
+  return best;
+}
+
+/**
+ * Charges credits given out by a campaign against its budget. Call it in the
+ * transaction writing the award, so concurrent awards cannot overspend.
+ * @param {ObjectId} campaignId - Campaign ID
+ * @param {number} credits - Extra credits given out
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction the award is written in
+ * @returns {Promise<void>}
+ */
+async function chargeCampaign(campaignId, credits, options = {}) {
+  if (credits > 0) {
+    await Campaign.updateOne({ _id: campaignId }, { $inc: { creditsSpent: credits } }, { session: options.session });
+  }
+}
+
+/**
+ * Reports a campaign's performance: awards it boosted, users reached and
+ * credits given, overall and by action type
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - Campaign, budget use and performance figures
+ */
+async function getCampaignReport(campaignId) {
+  try {
+    const campaign = await findCampaign(campaignId);
+
+    // Reversal entries carry the campaignId of the award they compensate. They are
+    // not counted as boosted events, but net the credits of the award back out.
+    const isAward = { $eq: [{ $ifNull: ['$reversalOf', null] }, null] };
+    const netCampaignCredits = {
+      $sum: { $cond: [{ $and: [isAward, { $eq: [{ $ifNull: ['$reversedByEventId', null] }, null] }] }, '$awardBreakdown.campaign.credits', 0] }
+    };
+
+    const [result] = await CreditEvent.aggregate([
+      { $match: { campaignId: campaign._id } },
+      {
+        $facet: {
+          overall: [
+            {
+              $group: {
+                _id: null,
+                boostedEvents: { $sum: { $cond: [isAward, 1, 0] } },
+                users: { $addToSet: '$userId' },
+                totalCredits: { $sum: '$creditsAwarded' },
+                campaignCredits: netCampaignCredits,
+                reversedEvents: { $sum: { $cond: [isAward, 0, 1] } },
+                firstEventAt: { $min: { $cond: [isAward, '$timestamp', null] } },
+                lastEventAt: { $max: { $cond: [isAward, '$timestamp', null] } }
+              }
+            }
+          ],
+          byActionType: [
+            {
+              $group: {
+                _id: '$actionType',
+                boostedEvents: { $sum: { $cond: [isAward, 1, 0] } },
+                totalCredits: { $sum: '$creditsAwarded' },
+                campaignCredits: netCampaignCredits
+              }
+            },
+            { $sort: { campaignCredits: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const overall = result.overall[0];
+
+    return {
+      campaign: toCampaignResponse(campaign),
+      performance: {
+        boostedEvents: overall ? overall.boostedEvents : 0,
+        uniqueUsers: overall ? overall.users.length : 0,
+        totalCredits: overall ? overall.totalCredits : 0,
+        campaignCredits: overall ? overall.campaignCredits : 0,
+        reversedEvents: overall ? overall.reversedEvents : 0,
+        firstEventAt: overall ? overall.firstEventAt : null,
+        lastEventAt: overall ? overall.lastEventAt : null
+      },
+      byActionType: result.byActionType.reduce((acc, item) => {
+        acc[item._id] = {
+          boostedEvents: item.boostedEvents,
+          totalCredits: item.totalCredits,
+          campaignCredits: item.campaignCredits
+        };
+        return acc;
+      }, {})
+    };
+  } catch (error) {
+    console.error('Error getting campaign report:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+module.exports = {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  updateCampaign,
+  findBestCampaign,
+  chargeCampaign,
+  getCampaignReport
+}; 
\ No newline at end of file
@@ -0,0 +1,280 @@
+const CreditLot = require('../models/CreditLot');
+const CreditEvent = require('../models/CreditEvent');
+const { getActionType } = require('./actionTypeService');
+
+const { DEBIT_ACTION_TYPES } = CreditEvent;
+
+// Days before earned credits expire, unless their action type sets expiryDays. 0 never expires.
+const CREDIT_EXPIRY_DAYS = parseInt(process.env.CREDIT_EXPIRY_DAYS || '365');
+
+// Credits expiring within this many days are reported as expiring soon
+const EXPIRY_WARNING_DAYS = parseInt(process.env.CREDIT_EXPIRY_WARNING_DAYS || '30');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOT_BATCH_SIZE = 100;
+const REBUILD_BATCH_SIZE = 500;
+
+/**
+ * Builds the lot holding the credits earned by an event
+ * @param {Object} event - Credit event with a positive amount
+ * @returns {Promise<Object>} - CreditLot fields
+ */
+async function buildLot(event) {
+  const actionType = await getActionType(event.actionType);
+  const expiryDays = actionType && actionType.expiryDays != null ? actionType.expiryDays : CREDIT_EXPIRY_DAYS;
+
+  return {
+    userId: event.userId,
+    sourceEventId: event._id,
+    actionType: event.actionType,
+    credits: event.creditsAwarded,
+    remaining: event.creditsAwarded,
+    earnedAt: event.timestamp,
+    expiresAt: expiryDays > 0 ? new Date(event.timestamp.getTime() + expiryDays * DAY_MS) : null
+  };
+}
+
+/**
+ * Builds the lots holding the credits a user received in a transfer. The
+ * credits keep the expiry they had in the sender's lots, so sending them on
+ * does not extend their life; credits the sender's lots did not cover, e.g.
+ * events recorded before lots were tracked, expire like earned credits.
+ * @param {Object} event - transfer_in entry, pointing at the transfer_out entry with sourceEventId
+ * @param {ClientSession} [session] - Transaction the entry is written in
+ * @returns {Promise<Array<Object>>} - CreditLot fields, one lot per expiry date
+ */
+async function buildTransferLots(event, session) {
+  const senderLots = await CreditLot.find({ 'consumptions.eventId': event.sourceEventId }).session(session || null);
+  const creditsByExpiry = new Map();
+  let uncovered = event.creditsAwarded;
+
+  const addCredits = (expiresAt, credits) => {
+    const key = expiresAt ? expiresAt.getTime() : null;
+    creditsByExpiry.set(key, (creditsByExpiry.get(key) || 0) + credits);
+  };
+
+  for (const lot of senderLots) {
+    const credits = lot.consumptions
+      .filter(consumption => consumption.eventId.equals(event.sourceEventId))
+      .reduce((sum, consumption) => sum + consumption.credits, 0);
+
+    addCredits(lot.expiresAt, credits);
+    uncovered -= credits;
+  }
+
+  if (uncovered > 0) {
+    addCredits((await buildLot(event)).expiresAt, uncovered);
+  }
+
+  return [...creditsByExpiry].map(([expiresAt, credits]) => ({
+    userId: event.userId,
+    sourceEventId: event._id,
+    actionType: event.actionType,
+    credits,
+    remaining: credits,
+    earnedAt: event.timestamp,
+    expiresAt: expiresAt === null ? null : new Date(expiresAt)
+  }));
+}
+
+/**
+ * Takes credits out of one lot, recording which entry took them
+ * @param {Object} lot - Lot with credits remaining
+ * @param {number} credits - Credits still to take
+ * @param {ObjectId} eventId - Debit or reversal entry taking the credits
+ * @param {ClientSession} [session] - Transaction the entry is written in
+ * @returns {Promise<number>} - Credits taken
+ */
+async function drawFromLot(lot, credits, eventId, session) {
+  const taken = Math.min(lot.remaining, credits);
+
+  await CreditLot.updateOne(
+    { _id: lot._id },
+    { $inc: { remaining: -taken }, $push: { consumptions: { eventId, credits: taken } } },
+    { session }
+  );
+
+  return taken;
+}
+
+/**
+ * Removes the credits of a debit or reversal entry from the user's lots. An
+ * expiry empties the lot that expired (found by its source event and expiry,
+ * since one transfer can open several lots) and a reversal starts with the
+ * lot of the event it reverses; everything else takes the oldest credits first.
+ * @param {Object} event - Entry with a negative amount
+ * @param {ClientSession} [session] - Transaction the entry is written in
+ * @returns {Promise<void>}
+ */
+async function consumeCredits(event, session) {
+  let credits = -event.creditsAwarded;
+  let ownLotQuery = null;
+
+  if (event.reversalOf) {
+    ownLotQuery = { sourceEventId: event.reversalOf };
+  } else if (event.actionType === 'expiration') {
+    // Expiration entries are timestamped at the lot's expiry
+    ownLotQuery = { sourceEventId: event.sourceEventId, expiresAt: event.timestamp };
+  }
+
+  if (ownLotQuery) {
+    const lot = await CreditLot.findOne({ ...ownLotQuery, remaining: { $gt: 0 } }).session(session || null);
+    if (lot) {
+      credits -= await drawFromLot(lot, credits, event._id, session);
+    }
+  }
+
+  while (credits > 0) {
+    const lots = await CreditLot.find({ userId: event.userId, remaining: { $gt: 0 } })
+      .sort({ earnedAt: 1, _id: 1 })
+      .limit(LOT_BATCH_SIZE)
+      .session(session || null);
+
+    // Reversing credits the user already spent takes what is left
+    if (lots.length === 0) {
+      return;
+    }
+
+    for (const lot of lots) {
+      if (credits <= 0) break;
+      credits -= await drawFromLot(lot, credits, event._id, session);
+    }
+  }
+}
+
+/**
+ * Puts back the credits a debit entry took from lots, when the debit is reversed
+ * @param {ObjectId} debitEventId - Debit entry being reversed
+ * @param {ClientSession} [session] - Transaction the reversal is written in
+ * @returns {Promise<void>}
+ */
+async function restoreCredits(debitEventId, session) {
+  const lots = await CreditLot.find({ 'consumptions.eventId': debitEventId }).session(session || null);
+
+  for (const lot of lots) {
+    const credits = lot.consumptions
+      .filter(consumption => consumption.eventId.equals(debitEventId))
+      .reduce((sum, consumption) => sum + consumption.credits, 0);
+
+    await CreditLot.updateOne(
+      { _id: lot._id },
+      { $inc: { remaining: credits }, $pull: { consumptions: { eventId: debitEventId } } },
+      { session }
+    );
+  }
+}
+
+/**
+ * Folds credit events into their users' lots: earned credits open a lot,
+ * transferred credits open lots with the sender's expiry dates, debits and
+ * reversals consume lots, and reversed debits put their credits back.
+ * Events must be in ledger order. Called by applyEventsToBalances, so every
+ * write path keeps lots in step with balances.
+ * @param {Array<Object>} events - Newly recorded credit events
+ * @param {Object} [options] - Update options
+ * @param {ClientSession} [options.session] - Transaction the events were written in
+ * @returns {Promise<void>}
+ */
+async function applyEventsToLots(events, options = {}) {
+  const { session } = options;
+  let newLots = [];
+
+  // Lots are inserted in bulk, but before anything that could consume them
+  const flush = async () => {
+    if (newLots.length === 0) return;
+    await CreditLot.insertMany(newLots, { session });
+    newLots = [];
+  };
+
+  // Sequential: writes in a transaction cannot run in parallel on its session
+  for (const event of events) {
+    const isDebit = DEBIT_ACTION_TYPES.includes(event.actionType);
+
+    if (event.reversalOf && isDebit) {
+      await flush();
+      await restoreCredits(event.reversalOf, session);
+    } else if (event.reversalOf || isDebit) {
+      await flush();
+      await consumeCredits(event, session);
+    } else if (event.actionType === 'transfer_in') {
+      // The sender's lots must record the transfer_out before they can be copied
+      await flush();
+      newLots.push(...await buildTransferLots(event, session));
+    } else if (event.creditsAwarded > 0) {
+      newLots.push(await buildLot(event));
+    }
+  }
+
+  await flush();
+}
+
+/**
+ * Sums the credits a user has that expire soon. Credits past their expiry
+ * that the sweep has not removed yet are included.
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.withinDays] - Days ahead to look (default: CREDIT_EXPIRY_WARNING_DAYS)
+ * @returns {Promise<Object>} - { withinDays, credits, nextExpiresAt }
+ */
+async function getExpiringCredits(userId, options = {}) {
+  try {
+    const { withinDays = EXPIRY_WARNING_DAYS } = options;
+    const until = new Date(Date.now() + withinDays * DAY_MS);
+
+    const [result] = await CreditLot.aggregate([
+      { $match: { userId, remaining: { $gt: 0 }, expiresAt: { $ne: null, $lte: until } } },
+      { $group: { _id: null, credits: { $sum: '$remaining' }, nextExpiresAt: { $min: '$expiresAt' } } }
+    ]);
+
+    return {
+      withinDays,
+      credits: result ? result.credits : 0,
+      nextExpiresAt: result ? result.nextExpiresAt : null
+    };
+  } catch (error) {
+    console.error('Error getting expiring credits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Regenerates credit lots by replaying the ledger, e.g. for events recorded
+ * before lots were tracked. A full rebuild replays every user's events in one
+ * pass in ledger order, so a sender's lots are rebuilt before the credits they
+ * transferred. Pause writes while rebuilding a live system.
+ * @param {Object} [options] - Rebuild options
+ * @param {string} [options.userId] - Only rebuild this user's lots
+ * @returns {Promise<Object>} - Number of users replayed and lots rebuilt
+ */
+async function rebuildCreditLots(options = {}) {
+  try {
+    const query = options.userId ? { userId: options.userId } : {};
+    const userIds = options.userId ? [options.userId] : await CreditEvent.distinct('userId');
+
+    await CreditLot.deleteMany(query);
+
+    let batch = [];
+    for await (const event of CreditEvent.find(query).sort({ timestamp: 1, _id: 1 }).cursor()) {
+      batch.push(event);
+      if (batch.length >= REBUILD_BATCH_SIZE) {
+        await applyEventsToLots(batch);
+        batch = [];
+      }
+    }
+    await applyEventsToLots(batch);
+
+    return {
+      users: userIds.length,
+      lots: await CreditLot.countDocuments(query)
+    };
+  } catch (error) {
+    console.error('Error rebuilding credit lots:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  applyEventsToLots,
+  getExpiringCredits,
+  rebuildCreditLots
+}; 
\ No newline at end of file
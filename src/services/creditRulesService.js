@@ -0,0 +1,73 @@
+const { createHttpError } = require('../utils/errors');
+
+/**
+ * Validates an action type's award rule
+ * @param {Object} rule - Rule from the action type registry
+ * @returns {string|null} - Problem with the rule, or null if it is valid
+ */
+function validateRule(rule = {}) {
+  if (rule.type === 'metadata_multiplier') {
+    if (!rule.metadataField) return 'metadata_multiplier rules require a metadataField';
+    if (typeof rule.multiplier !== 'number') return 'metadata_multiplier rules require a numeric multiplier';
+  }
+
+  if (rule.min != null && rule.max != null && rule.min > rule.max) {
+    return 'Rule min cannot be greater than max';
+  }
+
+  return null;
+}
+
+/**
+ * Computes the credits for an event from its action type's rule
+ * @param {Object} actionType - Action type record from the registry
+ * @param {Object} [metadata] - Event metadata, used by metadata-derived rules
+ * @returns {Object} - Credits to award and the breakdown of how they were computed
+ */
+function computeAward(actionType, metadata = {}) {
+  const rule = actionType.rule || { type: 'fixed' };
+  const breakdown = {
+    source: 'rule',
+    rule: rule.type || 'fixed'
+  };
+
+  let baseCredits;
+
+  if (breakdown.rule === 'metadata_multiplier') {
+    const value = Number(metadata[rule.metadataField]);
+
+    if (metadata[rule.metadataField] === undefined || !Number.isFinite(value) || value < 0) {
+      throw createHttpError(400, `metadata.${rule.metadataField} must be a non-negative number for ${actionType.key} events`);
+    }
+
+    baseCredits = Math.floor(value * rule.multiplier);
+    breakdown.metadataField = rule.metadataField;
+    breakdown.metadataValue = value;
+    breakdown.multiplier = rule.multiplier;
+  } else {
+    baseCredits = actionType.defaultCredits;
+  }
+
+  breakdown.baseCredits = baseCredits;
+
+  let credits = baseCredits;
+
+  if (rule.min != null && credits < rule.min) {
+    credits = rule.min;
+    breakdown.boundApplied = 'min';
+  }
+
+  if (rule.max != null && credits > rule.max) {
+    credits = rule.max;
+    breakdown.boundApplied = 'max';
+  }
+
+  breakdown.credits = credits;
+
+  return { credits, breakdown };
+}
+
+module.exports = {
+  validateRule,
+  computeAward
+}; 
\ No newline at end of file
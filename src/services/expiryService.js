@@ -0,0 +1,115 @@
+const CreditLot = require('../models/CreditLot');
+const CreditEvent = require('../models/CreditEvent');
+const { applyEventsToBalances } = require('./balanceService');
+const { withBalanceLock } = require('./ledgerService');
+const { publishLedgerEvent, toWebhookData } = require('./webhookService');
+const { runInTransaction } = require('../utils/transaction');
+
+const SWEEP_BATCH_SIZE = 100;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Most lots expired by one sweep, the next sweep carries on
+const SWEEP_MAX_LOTS = 5000;
+
+/**
+ * Writes the expiration entry for a lot past its expiry, removing its
+ * remaining credits from the user's balance. Holds the user's balance lock,
+ * so a redemption or transfer checking the balance cannot be overtaken.
+ * @param {Object} lot - Credit lot, at least _id and userId
+ * @returns {Promise<Object|null>} - Expiration entry, or null if the lot was emptied meanwhile
+ */
+async function expireLot({ _id: lotId, userId }) {
+  return withBalanceLock(userId, () => runInTransaction(async (session) => {
+    const lot = await CreditLot.findOne({ _id: lotId, remaining: { $gt: 0 } }).session(session);
+
+    if (!lot) {
+      return null;
+    }
+
+    const [expiration] = await CreditEvent.create([{
+      userId: lot.userId,
+      actionType: 'expiration',
+      creditsAwarded: -lot.remaining,
+      awardBreakdown: { source: 'expiry', credits: -lot.remaining },
+      // The credits expired when the lot did, however late the sweep runs
+      timestamp: lot.expiresAt,
+      sourceEventId: lot.sourceEventId,
+      metadata: {
+        lotId: lot._id,
+        expiredActionType: lot.actionType,
+        earnedAt: lot.earnedAt
+      }
+    }], { session });
+
+    await applyEventsToBalances([expiration], { session });
+    return expiration;
+  }));
+}
+
+/**
+ * Writes expiration entries for every lot whose credits are past their expiry.
+ * Safe to run concurrently: a lot is only expired once.
+ * @param {Object} [options] - Sweep options
+ * @param {Date} [options.now] - Expire lots that expired by this time (default: now)
+ * @returns {Promise<Object>} - Lots and credits expired, and lots that failed
+ */
+async function expireCredits(options = {}) {
+  const { now = new Date() } = options;
+  const failedLotIds = [];
+  let expiredLots = 0;
+  let expiredCredits = 0;
+
+  while (expiredLots + failedLotIds.length < SWEEP_MAX_LOTS) {
+    const lots = await CreditLot.find({ expiresAt: { $lte: now }, remaining: { $gt: 0 }, _id: { $nin: failedLotIds } })
+      .sort({ expiresAt: 1 })
+      .limit(SWEEP_BATCH_SIZE)
+      .select('_id userId');
+
+    if (lots.length === 0) {
+      break;
+    }
+
+    for (const lot of lots) {
+      try {
+        const expiration = await expireLot(lot);
+        if (expiration) {
+          expiredLots += 1;
+          expiredCredits -= expiration.creditsAwarded;
+          await publishLedgerEvent('credit.expired', toWebhookData(expiration));
+        }
+      } catch (error) {
+        console.error(`Error expiring credit lot ${lot._id}:`, error);
+        failedLotIds.push(lot._id);
+      }
+    }
+  }
+
+  return { expiredLots, expiredCredits, failedLots: failedLotIds.length };
+}
+
+/**
+ * Starts the background worker that expires credits past their expiry
+ * @returns {Object} - Interval handle
+ */
+function startExpiryWorker() {
+  let running = false;
+
+  const interval = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await expireCredits();
+    } catch (error) {
+      console.error('Expiry worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  expireCredits,
+  startExpiryWorker
+}; 
\ No newline at end of file
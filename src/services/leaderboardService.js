@@ -0,0 +1,243 @@
+const CreditEvent = require('../models/CreditEvent');
+const { getActionType, listActionTypes } = require('./actionTypeService');
+const { createHttpError } = require('../utils/errors');
+
+const { DEBIT_ACTION_TYPES, TRANSFER_ACTION_TYPES } = CreditEvent;
+
+const PERIODS = ['day', 'week', 'month', 'all'];
+
+/**
+ * Resolves a named period or custom range into start and end dates.
+ * Named periods are calendar periods in UTC (weeks start on Monday).
+ * @param {Object} options - Period options
+ * @param {string} [options.period] - day, week, month or all (default: all)
+ * @param {string} [options.startDate] - Custom range start, overrides period
+ * @param {string} [options.endDate] - Custom range end, overrides period
+ * @returns {Object} - Period name with its startDate and endDate (null when unbounded)
+ */
+function resolvePeriod(options = {}) {
+  const { period = 'all', startDate, endDate } = options;
+
+  if (startDate || endDate) {
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      throw createHttpError(400, 'startDate and endDate must be valid dates');
+    }
+    if (start && end && start > end) {
+      throw createHttpError(400, 'startDate must be before endDate');
+    }
+
+    return { name: 'custom', startDate: start, endDate: end };
+  }
+
+  if (!PERIODS.includes(period)) {
+    throw createHttpError(400, 'Invalid period', { validPeriods: PERIODS });
+  }
+
+  const now = new Date();
+  const todayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  let start = null;
+
+  if (period === 'day') {
+    start = todayStart;
+  } else if (period === 'week') {
+    const daysSinceMonday = (todayStart.getUTCDay() + 6) % 7;
+    start = new Date(todayStart.getTime() - daysSinceMonday * 24 * 60 * 60 * 1000);
+  } else if (period === 'month') {
+    start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  return { name: period, startDate: start, endDate: null };
+}
+
+/**
+ * Builds the CreditEvent filter for a leaderboard
+ * @param {Object} filters - Leaderboard filters
+ * @returns {Promise<Object>} - Resolved period and the $match stage contents
+ */
+async function buildLeaderboardMatch(filters) {
+  const { actionType, referralOnly = false } = filters;
+  const period = resolvePeriod(filters);
+
+  if (actionType && referralOnly) {
+    throw createHttpError(400, 'actionType and referralOnly cannot be combined');
+  }
+
+  const match = {};
+
+  if (referralOnly) {
+    match.actionType = 'referral_bonus';
+  } else if (actionType) {
+    const registryEntry = await getActionType(actionType);
+
+    if (!registryEntry || DEBIT_ACTION_TYPES.includes(actionType)) {
+      const validTypes = (await listActionTypes({ includeInactive: true, includeInternal: true }))
+        .map(type => type.key)
+        .filter(key => !DEBIT_ACTION_TYPES.includes(key));
+      throw createHttpError(400, 'Invalid action type', { validTypes });
+    }
+
+    match.actionType = actionType;
+  } else {
+    // Rank by credits earned, redemptions do not lower a user's position and
+    // credits received from other users do not raise it
+    match.actionType = { $nin: [...DEBIT_ACTION_TYPES, ...TRANSFER_ACTION_TYPES] };
+  }
+
+  if (period.startDate || period.endDate) {
+    match.timestamp = {};
+    if (period.startDate) match.timestamp.$gte = period.startDate;
+    if (period.endDate) match.timestamp.$lte = period.endDate;
+  }
+
+  return { period, match };
+}
+
+/**
+ * Builds the pipeline ranking users by credits within a filter. Users with
+ * equal totals share a rank (1, 2, 2, 4).
+ * @param {Object} match - CreditEvent filter
+ * @returns {Array<Object>} - Aggregation stages
+ */
+function rankingStages(match) {
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: '$userId',
+        totalCredits: { $sum: '$creditsAwarded' },
+        eventCount: { $sum: 1 },
+        lastActivity: { $max: '$timestamp' }
+      }
+    },
+    {
+      $setWindowFields: {
+        sortBy: { totalCredits: -1 },
+        output: { rank: { $rank: {} } }
+      }
+    },
+    { $sort: { rank: 1, _id: 1 } }
+  ];
+}
+
+/**
+ * Runs a ranking aggregation, using the { timestamp, _id } index when the
+ * leaderboard covers a bounded period
+ * @param {Object} match - CreditEvent filter
+ * @param {Array<Object>} stages - Stages appended after the ranking
+ * @returns {Promise<Array>} - Aggregation result
+ */
+function runRanking(match, stages) {
+  const aggregate = CreditEvent.aggregate([...rankingStages(match), ...stages]).allowDiskUse(true);
+
+  if (match.timestamp) {
+    aggregate.hint({ timestamp: -1, _id: -1 });
+  }
+
+  return aggregate;
+}
+
+/**
+ * Gets users ranked by credits earned
+ * @param {Object} [filters] - Leaderboard filters
+ * @param {string} [filters.period] - day, week, month or all (default: all)
+ * @param {string} [filters.startDate] - Custom range start
+ * @param {string} [filters.endDate] - Custom range end
+ * @param {string} [filters.actionType] - Only count credits from this action type
+ * @param {boolean} [filters.referralOnly] - Only count referral bonuses
+ * @param {number} [filters.limit] - Limit number of results (default: 10, max: 100)
+ * @param {number} [filters.skip] - Skip number of results (default: 0)
+ * @returns {Promise<Object>} - Ranked users and pagination
+ */
+async function getLeaderboard(filters = {}) {
+  try {
+    const { limit = 10, skip = 0, actionType = null, referralOnly = false } = filters;
+    const cappedLimit = Math.min(limit, 100);
+    const { period, match } = await buildLeaderboardMatch(filters);
+
+    const [result] = await runRanking(match, [
+      {
+        $facet: {
+          entries: [{ $skip: skip }, { $limit: cappedLimit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const totalUsers = result.total.length > 0 ? result.total[0].count : 0;
+
+    return {
+      period,
+      actionType,
+      referralOnly,
+      leaderboard: result.entries.map(entry => ({
+        rank: entry.rank,
+        userId: entry._id,
+        totalCredits: entry.totalCredits,
+        eventCount: entry.eventCount,
+        lastActivity: entry.lastActivity
+      })),
+      pagination: {
+        totalUsers,
+        limit: cappedLimit,
+        skip,
+        hasMore: (skip + result.entries.length) < totalUsers
+      }
+    };
+
+  } catch (error) {
+    console.error('Error getting leaderboard:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets a single user's position on a leaderboard
+ * @param {string} userId - User ID to look up
+ * @param {Object} [filters] - Leaderboard filters (same as getLeaderboard, without pagination)
+ * @returns {Promise<Object>} - User's rank and totals; rank is null if they earned nothing in the period
+ */
+async function getUserRank(userId, filters = {}) {
+  try {
+    if (!userId) {
+      throw createHttpError(400, 'User ID is required');
+    }
+
+    const { actionType = null, referralOnly = false } = filters;
+    const { period, match } = await buildLeaderboardMatch(filters);
+
+    const [result] = await runRanking(match, [
+      {
+        $facet: {
+          user: [{ $match: { _id: userId } }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const entry = result.user[0];
+
+    return {
+      userId,
+      period,
+      actionType,
+      referralOnly,
+      rank: entry ? entry.rank : null,
+      totalCredits: entry ? entry.totalCredits : 0,
+      eventCount: entry ? entry.eventCount : 0,
+      lastActivity: entry ? entry.lastActivity : null,
+      totalUsers: result.total.length > 0 ? result.total[0].count : 0
+    };
+
+  } catch (error) {
+    console.error('Error getting user rank:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getLeaderboard,
+  getUserRank
+}; 
\ No newline at end of file
@@ -0,0 +1,138 @@
+const { Readable } = require('stream');
+const CreditEvent = require('../models/CreditEvent');
+const { buildEventQuery } = require('./ledgerService');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+const { toCsvRow } = require('../utils/csv');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_BATCH_SIZE = 1000;
+
+// Column order of every export; metadata columns follow, sorted by key
+const EXPORT_COLUMNS = [
+  ['eventId', event => event._id],
+  ['timestamp', event => event.timestamp],
+  ['userId', event => event.userId],
+  ['actionType', event => event.actionType],
+  ['creditsAwarded', event => event.creditsAwarded],
+  ['referrerId', event => event.referrerId],
+  ['referrerBonus', event => event.referrerBonus],
+  ['referralBonusEventId', event => event.referralBonusEventId],
+  ['sourceEventId', event => event.sourceEventId],
+  ['referralLevel', event => event.referralLevel],
+  ['campaignId', event => event.campaignId],
+  ['reversalOf', event => event.reversalOf],
+  ['reversedByEventId', event => event.reversedByEventId],
+  ['apiKeyId', event => event.apiKeyId],
+  ['idempotencyKey', event => event.idempotencyKey]
+];
+
+/**
+ * Lists the top-level metadata keys used by the exported events, so every
+ * CSV row has the same columns
+ * @param {Object} query - CreditEvent filter
+ * @returns {Promise<Array<string>>} - Sorted metadata keys
+ */
+async function findMetadataKeys(query) {
+  const keys = await CreditEvent.aggregate([
+    { $match: query },
+    { $project: { keys: { $objectToArray: { $ifNull: ['$metadata', {}] } } } },
+    { $unwind: '$keys' },
+    { $group: { _id: '$keys.k' } },
+    { $sort: { _id: 1 } }
+  ]).allowDiskUse(true);
+
+  return keys.map(key => key._id);
+}
+
+/**
+ * Converts an event to a plain record with the export's field order
+ * @param {Object} event - Lean credit event
+ * @returns {Object} - Export record with the full metadata object
+ */
+function toExportRecord(event) {
+  const record = {};
+
+  for (const [column, read] of EXPORT_COLUMNS) {
+    const value = read(event);
+    record[column] = value === undefined ? null : value;
+  }
+  record.metadata = event.metadata || {};
+
+  return record;
+}
+
+/**
+ * Yields the CSV export line by line
+ * @param {Object} cursor - Mongo cursor over the exported events
+ * @param {Array<string>} metadataKeys - Metadata keys to flatten into columns
+ */
+async function* generateCsv(cursor, metadataKeys) {
+  yield toCsvRow([
+    ...EXPORT_COLUMNS.map(([column]) => column),
+    ...metadataKeys.map(key => `metadata.${key}`)
+  ]);
+
+  for await (const event of cursor) {
+    const metadata = event.metadata || {};
+    yield toCsvRow([
+      ...EXPORT_COLUMNS.map(([, read]) => read(event)),
+      ...metadataKeys.map(key => metadata[key])
+    ]);
+  }
+}
+
+/**
+ * Yields the NDJSON export line by line
+ * @param {Object} cursor - Mongo cursor over the exported events
+ */
+async function* generateNdjson(cursor) {
+  for await (const event of cursor) {
+    yield JSON.stringify(toExportRecord(event)) + '\n';
+  }
+}
+
+/**
+ * Creates a streamed export of the ledger, oldest event first. Events are
+ * read through a Mongo cursor and written as the response consumes them, so
+ * exports of any size use constant memory.
+ * @param {Object} filters - Event filters (startDate, endDate, userId, actionType, ...)
+ * @param {string} format - csv or ndjson
+ * @returns {Promise<Object>} - Readable stream with its content type and a suggested filename
+ */
+async function createLedgerExport(filters, format) {
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw createHttpError(400, 'Invalid export format', { validFormats: EXPORT_FORMATS });
+    }
+
+    const query = buildEventQuery(filters);
+    // Discovering metadata columns first is a second pass over the events, done inside MongoDB
+    const metadataKeys = format === 'csv' ? await findMetadataKeys(query) : [];
+
+    const cursor = CreditEvent.find(query)
+      .sort({ timestamp: 1, _id: 1 })
+      .lean()
+      .batchSize(EXPORT_BATCH_SIZE)
+      .cursor();
+
+    const stream = Readable.from(format === 'csv' ? generateCsv(cursor, metadataKeys) : generateNdjson(cursor));
+
+    // Stop reading from MongoDB if the client goes away
+    stream.on('close', () => {
+      cursor.close().catch(error => console.warn('Could not close export cursor:', error.message));
+    });
+
+    return {
+      stream,
+      contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      filename: `ledger-${new Date().toISOString().slice(0, 10)}.${format}`
+    };
+  } catch (error) {
+    console.error('Error creating ledger export:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+module.exports = {
+  createLedgerExport
+}; 
\ No newline at end of file
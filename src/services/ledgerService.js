@@ -1,55 +1,244 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const CreditEvent = require('../models/CreditEvent');
+const BalanceLock = require('../models/BalanceLock');
+const ReferralHold = require('../models/ReferralHold');
 const { processReferralBonus } = require('./referralService');
+const { assertAwardableActionType, getActionType, listActionTypes } = require('./actionTypeService');
+const { computeAward } = require('./creditRulesService');
+const { publishLedgerEvent, toWebhookData } = require('./webhookService');
+const { applyEventsToBalances, getUserBalance } = require('./balanceService');
+const { applyAwardCaps, releaseAwardCaps } = require('./awardCapService');
+const { findBestCampaign, chargeCampaign } = require('./campaignService');
+const { evaluateUserTier, applyTierCredits, getUserTierStatus } = require('./tierService');
+const { evaluateBadges } = require('./badgeService');
+const { recordStreakActivity, getUserStreaks } = require('./streakService');
+const { getExpiringCredits } = require('./creditLotService');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { encodeEventCursor, eventsAfterCursor } = require('../utils/cursor');
+const { parseIdempotencyKey, scopeIdempotencyKey, toClientIdempotencyKey, hashRequestPayload } = require('../utils/idempotency');
+
+const { DEBIT_ACTION_TYPES, TRANSFER_ACTION_TYPES } = CreditEvent;
+
+const BALANCE_LOCK_TTL_MS = 10 * 1000;
+const BALANCE_LOCK_RETRIES = 5;
+const BALANCE_LOCK_RETRY_DELAY_MS = 50;
+// Most records accepted by one bulk import, all valid records are written in a single transaction
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '1000');
+// Credits one user can send to others per UTC day
+const TRANSFER_DAILY_LIMIT = parseInt(process.env.TRANSFER_DAILY_LIMIT || '500');
+const TRANSFER_NOTE_MAX_LENGTH = 280;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Records a credit event in the ledger
  * @param {Object} eventData - Credit event data
  * @param {string} eventData.userId - User ID receiving credits
- * @param {string} eventData.actionType - Type of action performed
- * @param {number} eventData.creditsAwarded - Number of credits awarded
+ * @param {string} eventData.actionType - Type of action performed (a key in the action type registry)
+ * @param {number} [eventData.creditsAwarded] - Credits to award instead of the action type's rule (privileged callers only)
  * @param {string} [eventData.referrerId] - Optional referrer ID
  * @param {Object} [eventData.metadata] - Optional metadata
- * @returns {Promise<Object>} - Created event and referral processing result
+ * @param {string} [eventData.apiKeyId] - API key recording the event
+ * @param {string} [eventData.idempotencyKey] - Optional key identifying retries of the same request, scoped to the API key and endpoint
+ * @param {string} [eventData.requestHash] - Hash of the client payload sent with the idempotency key
+ * @returns {Promise<Object>} - Created (or previously recorded) event, referral processing result, badges
+ *   earned by the user or their referrer, the user's streak for the action type and the award caps applied (credits are reduced to the headroom left, or rejected with 409 when none is left).
+ *   Rule-computed credits are boosted by the user's tier multiplier and the best running campaign first;
+ *   overrides are recorded as sent.
  */
 async function recordCreditEvent(eventData) {
   try {
-    const { userId, actionType, creditsAwarded, referrerId, metadata = {} } = eventData;
+    const {
+      userId,
+      actionType,
+      referrerId,
+      metadata = {},
+      apiKeyId = null,
+      idempotencyKey,
+      requestHash
+    } = eventData;
+
+    // Return the original result if this request has already been recorded, before
+    // validating against action type rules that may have changed since
+    if (idempotencyKey) {
+      const existingEvent = await CreditEvent.findOne({ idempotencyKey });
+      if (existingEvent) {
+        return await buildReplayedCreditResult(existingEvent, requestHash);
+      }
+    }
 
     // Validate required fields
-    if (!userId || !actionType || creditsAwarded === undefined) {
-      throw new Error('Missing required fields: userId, actionType, creditsAwarded');
+    if (!userId || !actionType) {
+      throw new Error('Missing required fields: userId, actionType');
     }
 
-    if (creditsAwarded < 0) {
-      throw new Error('Credits awarded cannot be negative');
+    const actionTypeConfig = await assertAwardableActionType(actionType);
+
+    // Credits come from the action type's rule unless the caller supplied an override
+    const award = eventData.creditsAwarded === undefined
+      ? computeAward(actionTypeConfig, metadata)
+      : { credits: eventData.creditsAwarded, breakdown: { source: 'override', credits: eventData.creditsAwarded } };
+    const requestedCredits = award.credits;
+
+    if (typeof requestedCredits !== 'number' || !Number.isFinite(requestedCredits) || requestedCredits < 0) {
+      throw createHttpError(400, 'Credits awarded must be a non-negative number');
     }
 
-    // Calculate referrer bonus if referrerId is provided
-    let referrerBonus = 0;
-    let referralResult = null;
+    let recorded;
+
+    try {
+      // The event, its cap usage and its referral bonus commit together
+      recorded = await runInTransaction(async (session) => {
+        const eventId = new mongoose.Types.ObjectId();
+        const timestamp = new Date();
+        let referrerBonus = 0;
+        let referral = null;
+
+        const isRuleAward = award.breakdown.source === 'rule';
+
+        // Tier and campaign boosts are both computed on the rule's credits and added together
+        const tierStatus = await evaluateUserTier(userId, { session });
+        const tierBonus = isRuleAward
+          ? Math.floor(requestedCredits * tierStatus.tier.multiplier) - requestedCredits
+          : 0;
+        const campaign = isRuleAward
+          ? await findBestCampaign({ userId, actionType, credits: requestedCredits, metadata, timestamp }, { session })
+          : null;
+        const boostedCredits = requestedCredits + tierBonus + (campaign ? campaign.bonusCredits : 0);
+
+        const [caps] = await applyAwardCaps([
+          { userId, actionType: actionTypeConfig, credits: boostedCredits, timestamp }
+        ], { session });
+
+        if (caps.capped && caps.credits === 0) {
+          throw createHttpError(409, `Award cap reached for ${actionType}`, { caps });
+        }
+
+        const creditsAwarded = caps.credits;
+        let awardBreakdown = award.breakdown;
+
+        // Caps apply to the boosted amount. Capped extra credits come out of the
+        // campaign's share first, and it is only charged for what it granted.
+        const tierCredits = Math.min(tierBonus, Math.max(0, creditsAwarded - requestedCredits));
+        if (tierBonus > 0) {
+          awardBreakdown = {
+            ...awardBreakdown,
+            tier: {
+              tier: tierStatus.tier.key,
+              multiplier: tierStatus.tier.multiplier,
+              credits: tierCredits
+            }
+          };
+        }
+        if (campaign) {
+          const campaignCredits = Math.max(0, creditsAwarded - requestedCredits - tierCredits);
+          await chargeCampaign(campaign.campaign._id, campaignCredits, { session });
+          awardBreakdown = {
+            ...awardBreakdown,
+            campaign: {
+              campaignId: campaign.campaign._id,
+              name: campaign.campaign.name,
+              multiplier: campaign.campaign.multiplier,
+              flatBonus: campaign.campaign.flatBonus,
+              credits: campaignCredits
+            }
+          };
+        }
+        if (caps.capped) {
+          awardBreakdown = { ...awardBreakdown, cap: { requestedCredits: boostedCredits, limitedBy: caps.limitedBy } };
+        }
+
+        // Calculate referrer bonus if referrerId is provided
+        if (referrerId && referrerId !== userId) {
+          referral = await processReferralBonus(referrerId, actionType, creditsAwarded, userId, {
+            sourceEventId: eventId,
+            apiKeyId,
+            metadata,
+            session,
+            timestamp
+          });
+          referrerBonus = referral.bonusAwarded || 0;
+        }
+
+        // Create the main credit event
+        const creditEvent = new CreditEvent({
+          _id: eventId,
+          userId,
+          actionType,
+          creditsAwarded,
+          awardBreakdown,
+          campaignId: campaign ? campaign.campaign._id : null,
+          referrerBonus,
+          referrerId: referrerId || null,
+          referralBonusEventId: referral ? referral.referralEventId || null : null,
+          timestamp,
+          metadata,
+          apiKeyId,
+          idempotencyKey: idempotencyKey || undefined,
+          requestHash: idempotencyKey ? requestHash : undefined
+        });
 
-    if (referrerId && referrerId !== userId) {
-      referralResult = await processReferralBonus(referrerId, actionType, creditsAwarded, userId);
-      referrerBonus = referralResult.bonusAwarded || 0;
+        const savedEvent = await creditEvent.save({ session });
+        await applyEventsToBalances([savedEvent], { session });
+
+        const streak = await recordStreakActivity(userId, savedEvent, { session, apiKeyId });
+        const badges = await evaluateBadges(userId, savedEvent, { session, apiKeyId });
+        if (referral && referral.referralEvent) {
+          badges.push(...await evaluateBadges(referrerId, referral.referralEvent, { session, apiKeyId }));
+        }
+
+        // Bonuses paid to the user count towards their tier straight away
+        const bonusCredits = [
+          streak && streak.bonusEvent,
+          ...badges.filter(earned => earned.userId === userId).map(earned => earned.bonusEvent)
+        ].filter(Boolean).reduce((sum, bonusEvent) => sum + bonusEvent.creditsAwarded, 0);
+        await applyTierCredits(userId, tierStatus, creditsAwarded + bonusCredits, { session, eventId });
+
+        return { savedEvent, referralResult: referral, caps, badges, streak };
+      });
+    } catch (error) {
+      // A concurrent retry with the same key won the race; this transaction rolled back with its bonus
+      if (isIdempotencyConflict(error)) {
+        const existingEvent = await CreditEvent.findOne({ idempotencyKey });
+        return await buildReplayedCreditResult(existingEvent, requestHash);
+      }
+      throw error;
     }
 
-    // Create the main credit event
-    const creditEvent = new CreditEvent({
-      userId,
-      actionType,
-      creditsAwarded,
-      referrerBonus,
-      referrerId: referrerId || null,
-      metadata
-    });
+    const { savedEvent, referralResult, caps, badges, streak } = recorded;
 
-    const savedEvent = await creditEvent.save();
+    // Notify webhook subscribers once the transaction has committed
+    await publishLedgerEvent('credit.awarded', toWebhookData(savedEvent));
+    if (referralResult && referralResult.referralEvent) {
+      await publishLedgerEvent('referral.bonus_awarded', toWebhookData(referralResult.referralEvent));
+    }
+    for (const bonus of referralResult ? referralResult.levelBonuses || [] : []) {
+      await publishLedgerEvent('referral.bonus_awarded', toWebhookData(bonus.referralEvent));
+    }
+    if (streak && streak.bonusEvent) {
+      await publishLedgerEvent('credit.awarded', toWebhookData(streak.bonusEvent));
+    }
+    for (const earned of badges.filter(badge => badge.bonusEvent)) {
+      await publishLedgerEvent('credit.awarded', toWebhookData(earned.bonusEvent));
+    }
 
     return {
       success: true,
       event: savedEvent,
       referralProcessing: referralResult,
-      message: `Credit event recorded: ${creditsAwarded} credits awarded to ${userId}`
+      caps,
+      badges: badges.map(toEarnedBadge),
+      streak: streak && {
+        actionType: streak.actionType,
+        current: streak.currentStreak,
+        longest: streak.longestStreak,
+        bonusCredits: streak.bonusEvent ? streak.bonusEvent.creditsAwarded : 0,
+        bonusEventId: streak.bonusEvent ? streak.bonusEvent._id : null
+      },
+      message: caps.capped
+        ? `Credit event recorded: ${savedEvent.creditsAwarded} of ${requestedCredits} credits awarded to ${userId}, limited by ${caps.limitedBy.join(', ')}`
+        : `Credit event recorded: ${savedEvent.creditsAwarded} credits awarded to ${userId}`
     };
 
   } catch (error) {
@@ -58,41 +247,150 @@ async function recordCreditEvent(eventData) {
   }
 }
 
+/**
+ * Shapes a badge earned while recording an event for API responses
+ * @param {Object} earned - Entry returned by evaluateBadges
+ * @returns {Object}
+ */
+function toEarnedBadge(earned) {
+  return {
+    userId: earned.userId,
+    badgeKey: earned.badge.key,
+    name: earned.badge.name,
+    earnedAt: earned.earnedAt,
+    bonusCredits: earned.bonusEvent ? earned.bonusEvent.creditsAwarded : 0,
+    bonusEventId: earned.bonusEvent ? earned.bonusEvent._id : null
+  };
+}
+
+/**
+ * Whether an error is a duplicate key error on the idempotency key index
+ * @param {Error} error - Error thrown by a save
+ * @returns {boolean}
+ */
+function isIdempotencyConflict(error) {
+  return error.code === 11000 && !!error.keyPattern && !!error.keyPattern.idempotencyKey;
+}
+
+/**
+ * Ensures a repeated request matches the one originally stored under its idempotency key
+ * @param {Object} existingEvent - Event stored under the idempotency key
+ * @param {string} [requestHash] - Hash of the repeated request's payload
+ */
+function assertSameRequest(existingEvent, requestHash) {
+  if (requestHash && existingEvent.requestHash && existingEvent.requestHash !== requestHash) {
+    throw createHttpError(409, 'Idempotency key has already been used with a different request payload', {
+      idempotencyKey: toClientIdempotencyKey(existingEvent.idempotencyKey)
+    });
+  }
+}
+
+/**
+ * Rebuilds the recordCreditEvent result for an event that was already recorded
+ * @param {Object} existingEvent - Event stored under the idempotency key
+ * @param {string} [requestHash] - Hash of the repeated request's payload
+ * @returns {Promise<Object>} - Result shaped like a fresh recordCreditEvent call
+ */
+async function buildReplayedCreditResult(existingEvent, requestHash) {
+  assertSameRequest(existingEvent, requestHash);
+
+  const { userId, referrerId, referrerBonus, creditsAwarded } = existingEvent;
+  let referralResult = null;
+
+  const hold = referrerId && referrerBonus === 0
+    ? await ReferralHold.findOne({ sourceEventId: existingEvent._id, status: 'pending' })
+    : null;
+
+  if (hold) {
+    referralResult = {
+      success: true,
+      bonusAwarded: 0,
+      held: true,
+      referralHoldId: hold._id,
+      message: `Referral bonus of ${hold.bonusCredits} credits held for review`
+    };
+  } else if (referrerId && referrerId !== userId) {
+    referralResult = {
+      success: true,
+      bonusAwarded: referrerBonus,
+      referralEventId: existingEvent.referralBonusEventId || undefined,
+      message: referrerBonus > 0
+        ? `Referral bonus of ${referrerBonus} credits awarded to ${referrerId}`
+        : 'No bonus credits applicable for this action type'
+    };
+  }
+
+  return {
+    success: true,
+    event: existingEvent,
+    referralProcessing: referralResult,
+    replayed: true,
+    message: `Credit event recorded: ${creditsAwarded} credits awarded to ${userId}`
+  };
+}
+
 /**
  * Gets total credits for a specific user
  * @param {string} userId - User ID to get credits for
+ * @param {Object} [options] - Options
+ * @param {string|Date} [options.asOf] - Report the balance as it stood at this time. Tier, streaks and
+ *   expiring credits describe the present, so they are left out.
  * @returns {Promise<Object>} - User's credit summary
  */
-async function getUserCreditTotal(userId) {
+async function getUserCreditTotal(userId, options = {}) {
   try {
     if (!userId) {
       throw new Error('User ID is required');
     }
 
-    // Get all credit events for the user
-    const events = await CreditEvent.find({ userId }).sort({ timestamp: -1 });
+    const asOf = options.asOf ? new Date(options.asOf) : null;
 
-    // Calculate total credits
-    const totalCredits = events.reduce((sum, event) => sum + event.creditsAwarded, 0);
+    if (asOf && isNaN(asOf)) {
+      throw createHttpError(400, 'asOf must be a valid date');
+    }
 
-    // Get breakdown by action type
-    const creditsByAction = events.reduce((breakdown, event) => {
-      const action = event.actionType;
-      if (!breakdown[action]) {
-        breakdown[action] = { count: 0, totalCredits: 0 };
-      }
-      breakdown[action].count += 1;
-      breakdown[action].totalCredits += event.creditsAwarded;
-      return breakdown;
-    }, {});
+    if (asOf) {
+      const [balance, recentEvents] = await Promise.all([
+        getUserBalance(userId, { asOf }),
+        CreditEvent.find({ userId, timestamp: { $lte: asOf } }).sort({ timestamp: -1, _id: -1 }).limit(10)
+      ]);
+
+      return {
+        userId,
+        asOf,
+        totalCredits: balance.earnedCredits,
+        earnedCredits: balance.earnedCredits,
+        spentCredits: balance.spentCredits,
+        availableCredits: balance.availableCredits,
+        totalEvents: balance.totalEvents,
+        creditsByAction: balance.creditsByAction,
+        lastActivity: balance.lastActivity,
+        recentEvents // Last 10 events up to asOf
+      };
+    }
+
+    // Totals come from the balance projection, so only the latest events are loaded
+    const [balance, recentEvents, tier, streaks, expiringSoon] = await Promise.all([
+      getUserBalance(userId),
+      CreditEvent.find({ userId }).sort({ timestamp: -1 }).limit(10),
+      getUserTierStatus(userId),
+      getUserStreaks(userId),
+      getExpiringCredits(userId)
+    ]);
 
     return {
       userId,
-      totalCredits,
-      totalEvents: events.length,
-      creditsByAction,
-      lastActivity: events.length > 0 ? events[0].timestamp : null,
-      recentEvents: events.slice(0, 10) // Last 10 events
+      totalCredits: balance.earnedCredits,
+      earnedCredits: balance.earnedCredits,
+      spentCredits: balance.spentCredits,
+      availableCredits: balance.availableCredits,
+      expiringSoon,
+      totalEvents: balance.totalEvents,
+      creditsByAction: balance.creditsByAction,
+      lastActivity: balance.lastActivity,
+      tier,
+      streaks,
+      recentEvents // Last 10 events
     };
 
   } catch (error) {
@@ -102,64 +400,605 @@ async function getUserCreditTotal(userId) {
 }
 
 /**
- * Gets credit events with filtering and pagination
+ * Gets a user's earned, spent and available credits from their balance projection
+ * @param {string} userId - User ID to calculate the balance for
+ * @param {Object} [options] - Read options
+ * @param {ClientSession} [options.session] - Transaction to read in
+ * @returns {Promise<Object>} - Earned, spent and available credits
+ */
+async function calculateBalance(userId, options = {}) {
+  const balance = await getUserBalance(userId, options);
+
+  return {
+    earned: balance.earnedCredits,
+    spent: balance.spentCredits,
+    available: balance.availableCredits
+  };
+}
+
+/**
+ * Runs a function while holding the balance lock for a user, so that
+ * concurrent debits for the same user are applied one at a time
+ * @param {string} userId - User whose balance is being modified
+ * @param {Function} fn - Async function to run while the lock is held
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withBalanceLock(userId, fn) {
+  const token = crypto.randomUUID();
+
+  for (let attempt = 0; attempt < BALANCE_LOCK_RETRIES; attempt++) {
+    const now = new Date();
+
+    try {
+      // Upserting against a held lock hits the unique userId index
+      await BalanceLock.findOneAndUpdate(
+        { userId, lockedUntil: { $lte: now } },
+        { $set: { token, lockedUntil: new Date(now.getTime() + BALANCE_LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      await new Promise(resolve => setTimeout(resolve, BALANCE_LOCK_RETRY_DELAY_MS * (attempt + 1)));
+      continue;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await BalanceLock.deleteOne({ userId, token });
+    }
+  }
+
+  throw createHttpError(409, 'Another balance operation is in progress for this user, please retry');
+}
+
+/**
+ * Runs a function while holding the balance locks of several users. Locks
+ * are taken in userId order, so two callers never wait on each other's locks.
+ * @param {Array<string>} userIds - Users whose balances are being modified
+ * @param {Function} fn - Async function to run while the locks are held
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withBalanceLocks(userIds, fn) {
+  const lockInOrder = ([userId, ...rest]) => (userId
+    ? withBalanceLock(userId, () => lockInOrder(rest))
+    : fn());
+
+  return lockInOrder([...new Set(userIds)].sort());
+}
+
+/**
+ * Redeems (spends) credits from a user's available balance
+ * @param {Object} redemptionData - Redemption data
+ * @param {string} redemptionData.userId - User ID spending credits
+ * @param {number} redemptionData.amount - Number of credits to redeem
+ * @param {string} [redemptionData.reason] - Optional reason for the redemption
+ * @param {Object} [redemptionData.metadata] - Optional metadata
+ * @param {string} [redemptionData.apiKeyId] - API key recording the redemption
+ * @param {string} [redemptionData.idempotencyKey] - Optional key identifying retries of the same request, scoped to the API key and endpoint
+ * @param {string} [redemptionData.requestHash] - Hash of the client payload sent with the idempotency key
+ * @returns {Promise<Object>} - Created (or previously recorded) debit event and resulting balance
+ */
+async function redeemCredits(redemptionData) {
+  try {
+    const {
+      userId,
+      amount,
+      reason,
+      metadata = {},
+      apiKeyId = null,
+      idempotencyKey,
+      requestHash
+    } = redemptionData;
+
+    if (!userId || amount === undefined) {
+      throw createHttpError(400, 'Missing required fields: userId, amount');
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw createHttpError(400, 'Amount must be a positive number');
+    }
+
+    const result = await withBalanceLock(userId, async () => {
+      // Retries of the same redemption are serialised by the lock, so this check is race-free
+      if (idempotencyKey) {
+        const existingEvent = await CreditEvent.findOne({ idempotencyKey });
+        if (existingEvent) {
+          assertSameRequest(existingEvent, requestHash);
+          return {
+            success: true,
+            event: existingEvent,
+            balance: await calculateBalance(userId),
+            replayed: true,
+            message: `Redeemed ${-existingEvent.creditsAwarded} credits for ${userId}`
+          };
+        }
+      }
+
+      const balance = await calculateBalance(userId);
+
+      if (balance.available < amount) {
+        throw createHttpError(409, 'Insufficient credits', {
+          availableCredits: balance.available,
+          requestedCredits: amount
+        });
+      }
+
+      const debitEvent = new CreditEvent({
+        userId,
+        actionType: 'redemption',
+        creditsAwarded: -amount,
+        metadata: reason ? { ...metadata, reason } : metadata,
+        apiKeyId,
+        idempotencyKey: idempotencyKey || undefined,
+        requestHash: idempotencyKey ? requestHash : undefined
+      });
+
+      const savedEvent = await runInTransaction(async (session) => {
+        const saved = await debitEvent.save({ session });
+        await applyEventsToBalances([saved], { session });
+        return saved;
+      });
+
+      return {
+        success: true,
+        event: savedEvent,
+        balance: {
+          earned: balance.earned,
+          spent: balance.spent + amount,
+          available: balance.available - amount
+        },
+        message: `Redeemed ${amount} credits for ${userId}`
+      };
+    });
+
+    if (!result.replayed) {
+      await publishLedgerEvent('credit.redeemed', toWebhookData(result.event));
+    }
+
+    return result;
+
+  } catch (error) {
+    console.error('Error redeeming credits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sends credits from one user to another, e.g. to say thank you. Writes a
+ * transfer_out entry for the sender and a transfer_in entry for the recipient
+ * in one transaction; both carry the transferId, the other user and the note.
+ * @param {Object} transferData - Transfer data
+ * @param {string} transferData.fromUserId - User sending credits
+ * @param {string} transferData.toUserId - User receiving credits
+ * @param {number} transferData.amount - Number of credits to send
+ * @param {string} [transferData.note] - Optional message to the recipient
+ * @param {string} [transferData.apiKeyId] - API key recording the transfer
+ * @param {string} [transferData.idempotencyKey] - Optional key identifying retries of the same request, scoped to the API key and endpoint
+ * @param {string} [transferData.requestHash] - Hash of the client payload sent with the idempotency key
+ * @returns {Promise<Object>} - Created (or previously recorded) entries and the sender's resulting balance
+ */
+async function transferCredits(transferData) {
+  try {
+    const {
+      fromUserId,
+      toUserId,
+      amount,
+      note = null,
+      apiKeyId = null,
+      idempotencyKey,
+      requestHash
+    } = transferData;
+
+    if (!fromUserId || !toUserId || amount === undefined) {
+      throw createHttpError(400, 'Missing required fields: fromUserId, toUserId, amount');
+    }
+
+    if (fromUserId === toUserId) {
+      throw createHttpError(400, 'Credits cannot be transferred to the same user');
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      throw createHttpError(400, 'Amount must be a positive number');
+    }
+
+    if (note !== null && (typeof note !== 'string' || note.length > TRANSFER_NOTE_MAX_LENGTH)) {
+      throw createHttpError(400, `Note must be a string of at most ${TRANSFER_NOTE_MAX_LENGTH} characters`);
+    }
+
+    // Both balance projections and lot sets are written, so both users are locked
+    const result = await withBalanceLocks([fromUserId, toUserId], async () => {
+      if (idempotencyKey) {
+        const existingEvent = await CreditEvent.findOne({ idempotencyKey });
+        if (existingEvent) {
+          assertSameRequest(existingEvent, requestHash);
+          return {
+            success: true,
+            transferId: existingEvent.metadata.transferId,
+            debitEvent: existingEvent,
+            creditEvent: await CreditEvent.findOne({ sourceEventId: existingEvent._id, actionType: 'transfer_in' }),
+            balance: await calculateBalance(fromUserId),
+            replayed: true,
+            message: `Transferred ${-existingEvent.creditsAwarded} credits from ${fromUserId} to ${existingEvent.metadata.counterpartyUserId}`
+          };
+        }
+      }
+
+      const now = new Date();
+      const dayStart = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+      const [balance, [sentToday]] = await Promise.all([
+        calculateBalance(fromUserId),
+        CreditEvent.aggregate([
+          { $match: { userId: fromUserId, actionType: 'transfer_out', timestamp: { $gte: dayStart } } },
+          { $group: { _id: null, credits: { $sum: '$creditsAwarded' } } }
+        ])
+      ]);
+      const transferredToday = sentToday ? -sentToday.credits : 0;
+
+      if (transferredToday + amount > TRANSFER_DAILY_LIMIT) {
+        throw createHttpError(409, 'Daily transfer limit reached', {
+          dailyLimit: TRANSFER_DAILY_LIMIT,
+          transferredToday,
+          remainingToday: Math.max(0, TRANSFER_DAILY_LIMIT - transferredToday),
+          resetsAt: new Date(dayStart.getTime() + DAY_MS)
+        });
+      }
+
+      if (balance.available < amount) {
+        throw createHttpError(409, 'Insufficient credits', {
+          availableCredits: balance.available,
+          requestedCredits: amount
+        });
+      }
+
+      const transferId = new mongoose.Types.ObjectId();
+      const debitEvent = new CreditEvent({
+        userId: fromUserId,
+        actionType: 'transfer_out',
+        creditsAwarded: -amount,
+        timestamp: now,
+        metadata: { transferId, counterpartyUserId: toUserId, note },
+        apiKeyId,
+        idempotencyKey: idempotencyKey || undefined,
+        requestHash: idempotencyKey ? requestHash : undefined
+      });
+      const creditEvent = new CreditEvent({
+        userId: toUserId,
+        actionType: 'transfer_in',
+        creditsAwarded: amount,
+        sourceEventId: debitEvent._id,
+        timestamp: now,
+        metadata: { transferId, counterpartyUserId: fromUserId, note },
+        apiKeyId
+      });
+
+      await runInTransaction(async (session) => {
+        await debitEvent.save({ session });
+        await creditEvent.save({ session });
+        await applyEventsToBalances([debitEvent, creditEvent], { session });
+      });
+
+      return {
+        success: true,
+        transferId,
+        debitEvent,
+        creditEvent,
+        balance: {
+          earned: balance.earned,
+          spent: balance.spent + amount,
+          available: balance.available - amount
+        },
+        message: `Transferred ${amount} credits from ${fromUserId} to ${toUserId}`
+      };
+    });
+
+    if (!result.replayed) {
+      await publishLedgerEvent('credit.transferred', toWebhookData(result.debitEvent));
+      await publishLedgerEvent('credit.transferred', toWebhookData(result.creditEvent));
+    }
+
+    return result;
+
+  } catch (error) {
+    console.error('Error transferring credits:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Reverses a credit event by writing a compensating entry with the same
+ * action type and the opposite amount. The original event is kept and marked
+ * with the reversal's id, so it can only be reversed once. The balance locks
+ * of the users losing credits are held throughout; clawing back credits they
+ * already spent is allowed but reported as a shortfall.
+ * @param {string} eventId - ID of the event to reverse
+ * @param {Object} [options] - Reversal options
+ * @param {string} [options.reason] - Why the event is reversed (e.g. post deleted, purchase refunded)
+ * @param {boolean} [options.cascade] - Also reverse the referral bonuses paid for the event, at every level (default: false)
+ * @param {string} [options.apiKeyId] - API key recording the reversal
+ * @returns {Promise<Object>} - Reversal entry, when cascading the referral bonus reversal and upline bonus
+ *   reversals, and the shortfalls of users left with a negative available balance
+ */
+async function reverseCreditEvent(eventId, options = {}) {
+  try {
+    const { reason = null, cascade = false, apiKeyId = null } = options;
+
+    const target = await CreditEvent.findById(eventId).select('userId');
+    if (!target) {
+      throw createHttpError(404, `Credit event ${eventId} not found`);
+    }
+
+    // Users whose balance the reversal can lower: the event's user and, when cascading, the referrers paid for it
+    const bonusRecipients = cascade
+      ? await CreditEvent.distinct('userId', { sourceEventId: target._id, actionType: 'referral_bonus' })
+      : [];
+
+    const result = await withBalanceLocks([target.userId, ...bonusRecipients], async () => {
+      const reversed = await runInTransaction(async (session) => {
+        const original = await CreditEvent.findById(eventId).session(session);
+
+        if (!original) {
+          throw createHttpError(404, `Credit event ${eventId} not found`);
+        }
+
+        if (original.reversalOf) {
+          throw createHttpError(400, 'Reversal entries cannot be reversed');
+        }
+
+        // Reversing one side would leave the other standing; the recipient can send the credits back
+        if (TRANSFER_ACTION_TYPES.includes(original.actionType)) {
+          throw createHttpError(400, 'Transfers cannot be reversed');
+        }
+
+        const reversal = await writeReversal(original, { reason, apiKeyId, session });
+
+        if (!reversal) {
+          throw createHttpError(409, 'Credit event has already been reversed', {
+            reversalEventId: original.reversedByEventId
+          });
+        }
+
+        // Clawed-back credits no longer count against the award caps
+        const actionType = await getActionType(original.actionType);
+        if (actionType) {
+          await releaseAwardCaps([
+            { userId: original.userId, actionType, credits: original.creditsAwarded, timestamp: original.timestamp }
+          ], { session });
+        }
+
+        let referralReversal = null;
+        const uplineReversals = [];
+
+        // A referral bonus that was already reversed on its own is left as is
+        if (cascade && original.referralBonusEventId) {
+          const bonusEvent = await CreditEvent.findById(original.referralBonusEventId).session(session);
+          if (bonusEvent) {
+            referralReversal = await writeReversal(bonusEvent, { reason, apiKeyId, session });
+          }
+
+          // Bonuses paid further up the referral chain for the same event
+          const uplineBonuses = await CreditEvent.find({
+            sourceEventId: original._id,
+            actionType: 'referral_bonus',
+            referralLevel: { $gt: 1 },
+            reversedByEventId: null
+          }).session(session);
+
+          for (const uplineBonus of uplineBonuses) {
+            const uplineReversal = await writeReversal(uplineBonus, { reason, apiKeyId, session });
+            if (uplineReversal) {
+              uplineReversals.push(uplineReversal);
+            }
+          }
+        }
+
+        // A bonus still held for fraud review will never be paid out
+        if (cascade && !original.referralBonusEventId) {
+          await ReferralHold.updateOne(
+            { sourceEventId: original._id, status: 'pending' },
+            { $set: { status: 'rejected', reviewedBy: apiKeyId, reviewedAt: new Date(), reviewNote: 'Triggering event reversed' } },
+            { session }
+          );
+        }
+
+        await applyEventsToBalances([reversal, referralReversal, ...uplineReversals].filter(Boolean), { session });
+
+        return { original, reversal, referralReversal, uplineReversals };
+      });
+
+      const shortfalls = [];
+      const debitedUserIds = [reversed.reversal, reversed.referralReversal, ...reversed.uplineReversals]
+        .filter(entry => entry && entry.creditsAwarded < 0)
+        .map(entry => entry.userId);
+
+      for (const userId of new Set(debitedUserIds)) {
+        const balance = await calculateBalance(userId);
+        if (balance.available < 0) {
+          shortfalls.push({ userId, availableCredits: balance.available, shortfall: -balance.available });
+        }
+      }
+
+      return { ...reversed, shortfalls };
+    });
+
+    await publishLedgerEvent('credit.reversed', toWebhookData(result.reversal));
+    if (result.referralReversal) {
+      await publishLedgerEvent('credit.reversed', toWebhookData(result.referralReversal));
+    }
+    for (const uplineReversal of result.uplineReversals) {
+      await publishLedgerEvent('credit.reversed', toWebhookData(uplineReversal));
+    }
+
+    return {
+      success: true,
+      ...result,
+      message: `Reversed ${result.original.creditsAwarded} credits for ${result.original.userId}`
+    };
+
+  } catch (error) {
+    console.error('Error reversing credit event:', error);
+
+    // A concurrent reversal of the same event committed first
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.reversalOf) {
+      throw createHttpError(409, 'Credit event has already been reversed');
+    }
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Writes the compensating entry for an event and marks the event as reversed
+ * @param {Object} original - Event to reverse
+ * @param {Object} options - Reversal options
+ * @param {string} [options.reason] - Why the event is reversed
+ * @param {string} [options.apiKeyId] - API key recording the reversal
+ * @param {ClientSession} options.session - Transaction to write in
+ * @returns {Promise<Object|null>} - Reversal entry, or null if the event was already reversed
+ */
+async function writeReversal(original, options) {
+  const { reason, apiKeyId, session } = options;
+  const reversalId = new mongoose.Types.ObjectId();
+
+  const marked = await CreditEvent.updateOne(
+    { _id: original._id, reversedByEventId: null },
+    { $set: { reversedByEventId: reversalId } },
+    { session }
+  );
+
+  if (marked.modifiedCount === 0) {
+    return null;
+  }
+
+  const reversal = new CreditEvent({
+    _id: reversalId,
+    userId: original.userId,
+    actionType: original.actionType,
+    creditsAwarded: -original.creditsAwarded,
+    // Kept so campaign reports can net the reversal against the boosted award
+    campaignId: original.campaignId || null,
+    reversalOf: original._id,
+    apiKeyId,
+    metadata: reason ? { reason } : {}
+  });
+
+  return reversal.save({ session });
+}
+
+/**
+ * Builds the CreditEvent query for a set of event filters
+ * @param {Object} filters - Filters as accepted by getCreditEvents (pagination is ignored)
+ * @returns {Object} - CreditEvent filter
+ */
+function buildEventQuery(filters) {
+  const {
+    userId,
+    actionType,
+    referrerId,
+    minCredits,
+    maxCredits,
+    metadata,
+    startDate,
+    endDate
+  } = filters;
+
+  const query = {};
+
+  // Query strings can carry objects (referrerId[$ne]=...), which must not reach the filter as operators
+  for (const [name, value] of Object.entries({ userId, referrerId })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw createHttpError(400, `${name} must be a string`);
+    }
+  }
+
+  if (userId) query.userId = userId;
+  if (referrerId) query.referrerId = referrerId;
+
+  if (Array.isArray(actionType)) {
+    query.actionType = { $in: actionType };
+  } else if (actionType) {
+    query.actionType = actionType;
+  }
+
+  if (minCredits !== undefined || maxCredits !== undefined) {
+    query.creditsAwarded = {};
+    if (minCredits !== undefined) query.creditsAwarded.$gte = minCredits;
+    if (maxCredits !== undefined) query.creditsAwarded.$lte = maxCredits;
+  }
+
+  for (const [field, value] of Object.entries(metadata || {})) {
+    if (!/^[A-Za-z0-9_]+$/.test(field)) {
+      throw createHttpError(400, `Invalid metadata filter field: ${field}`);
+    }
+    if (typeof value !== 'string') {
+      throw createHttpError(400, `Metadata filter value for ${field} must be a string`);
+    }
+    // Query strings only carry strings, so numeric values also match numbers
+    const numericValue = Number(value);
+    query[`metadata.${field}`] = value !== '' && Number.isFinite(numericValue)
+      ? { $in: [value, numericValue] }
+      : value;
+  }
+  
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) query.timestamp.$lte = new Date(endDate);
+
+    if (Object.values(query.timestamp).some(date => isNaN(date))) {
+      throw createHttpError(400, 'startDate and endDate must be valid dates');
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Gets credit events with filtering and cursor pagination, newest first
  * @param {Object} filters - Filter options
  * @param {string} [filters.userId] - Filter by user ID
- * @param {string} [filters.actionType] - Filter by action type
+ * @param {string|Array<string>} [filters.actionType] - Filter by one or more action types
  * @param {string} [filters.referrerId] - Filter by referrer ID
+ * @param {number} [filters.minCredits] - Only events awarding at least this many credits
+ * @param {number} [filters.maxCredits] - Only events awarding at most this many credits
+ * @param {Object} [filters.metadata] - Metadata values to match, keyed by metadata field
  * @param {Date} [filters.startDate] - Filter events after this date
  * @param {Date} [filters.endDate] - Filter events before this date
- * @param {number} [filters.limit] - Limit number of results (default: 50)
- * @param {number} [filters.skip] - Skip number of results (default: 0)
- * @returns {Promise<Object>} - Filtered credit events
+ * @param {number} [filters.limit] - Limit number of results (default: 50, max: 100)
+ * @param {string} [filters.cursor] - nextCursor of the previous page
+ * @returns {Promise<Object>} - Filtered credit events and the cursor of the next page
  */
 async function getCreditEvents(filters = {}) {
   try {
-    const {
-      userId,
-      actionType,
-      referrerId,
-      startDate,
-      endDate,
-      limit = 50,
-      skip = 0
-    } = filters;
-
-    // Build query object
-    const query = {};
-    
-    if (userId) query.userId = userId;
-    if (actionType) query.actionType = actionType;
-    if (referrerId) query.referrerId = referrerId;
-    
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
-    }
-
-    // Execute query with pagination
+    const { limit = 50, cursor } = filters;
+
+    const cappedLimit = Math.min(limit, 100); // Cap at 100 for performance
+
+    const query = buildEventQuery(filters);
+
+    if (cursor) {
+      query.$and = [eventsAfterCursor(cursor)];
+    }
+
+    // Fetch one extra event to know whether another page follows
     const events = await CreditEvent.find(query)
-      .sort({ timestamp: -1 })
-      .limit(Math.min(limit, 100)) // Cap at 100 for performance
-      .skip(skip);
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(cappedLimit + 1);
 
-    // Get total count for pagination
-    const totalCount = await CreditEvent.countDocuments(query);
+    const hasMore = events.length > cappedLimit;
+    const page = hasMore ? events.slice(0, cappedLimit) : events;
 
     return {
-      events,
+      events: page,
       pagination: {
-        totalCount,
-        limit,
-        skip,
-        hasMore: (skip + events.length) < totalCount
+        limit: cappedLimit,
+        hasMore,
+        nextCursor: hasMore ? encodeEventCursor(page[page.length - 1]) : null
       }
     };
 
   } catch (error) {
     console.error('Error getting credit events:', error);
-    throw error;
+    throw toHttpValidationError(error);
   }
 }
 
@@ -169,12 +1008,33 @@ async function getCreditEvents(filters = {}) {
  */
 async function getSystemStats() {
   try {
+    // Transfers only move credits between users, so they are reported on their own
+    const spendingTypes = DEBIT_ACTION_TYPES.filter(actionType => !TRANSFER_ACTION_TYPES.includes(actionType));
+
     // Total credits awarded across all users
     const totalCreditsResult = await CreditEvent.aggregate([
       {
         $group: {
           _id: null,
-          totalCredits: { $sum: '$creditsAwarded' },
+          totalCredits: {
+            $sum: { $cond: [{ $in: ['$actionType', [...DEBIT_ACTION_TYPES, ...TRANSFER_ACTION_TYPES]] }, 0, '$creditsAwarded'] }
+          },
+          totalRedeemed: {
+            $sum: { $cond: [{ $in: ['$actionType', spendingTypes] }, { $multiply: ['$creditsAwarded', -1] }, 0] }
+          },
+          totalTransferred: {
+            $sum: { $cond: [{ $eq: ['$actionType', 'transfer_out'] }, { $multiply: ['$creditsAwarded', -1] }, 0] }
+          },
+          // Awards clawed back by reversal entries, already netted out of totalCredits
+          totalReversed: {
+            $sum: {
+              $cond: [
+                { $and: [{ $gt: ['$reversalOf', null] }, { $not: [{ $in: ['$actionType', DEBIT_ACTION_TYPES] }] }] },
+                { $multiply: ['$creditsAwarded', -1] },
+                0
+              ]
+            }
+          },
           totalEvents: { $sum: 1 }
         }
       }
@@ -204,10 +1064,16 @@ async function getSystemStats() {
     });
 
     const totalCredits = totalCreditsResult.length > 0 ? totalCreditsResult[0].totalCredits : 0;
+    const totalRedeemed = totalCreditsResult.length > 0 ? totalCreditsResult[0].totalRedeemed : 0;
+    const totalReversed = totalCreditsResult.length > 0 ? totalCreditsResult[0].totalReversed : 0;
+    const totalTransferred = totalCreditsResult.length > 0 ? totalCreditsResult[0].totalTransferred : 0;
     const totalEvents = totalCreditsResult.length > 0 ? totalCreditsResult[0].totalEvents : 0;
 
     return {
       totalCredits,
+      totalRedeemed,
+      totalReversed,
+      totalTransferred,
       totalEvents,
       uniqueUsers: uniqueUsersResult.length,
       recentActivity,
@@ -227,41 +1093,286 @@ async function getSystemStats() {
 }
 
 /**
- * Bulk insert credit events (useful for migrations or batch operations)
- * @param {Array} events - Array of credit event objects
- * @returns {Promise<Object>} - Bulk insert result
+ * Validates one record of a bulk import
+ * @param {Object} record - Record as supplied by the caller
+ * @param {Map<string, Object>} recordableTypes - Action types that can be imported, by key
+ * @param {string} [apiKeyId] - API key importing the record, its externalId is scoped to it
+ * @returns {Object} - Validation errors, the externalId and the event to insert
  */
-async function bulkRecordEvents(events) {
+function validateImportRecord(record, recordableTypes, apiKeyId) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: ['Record must be an object'], externalId: null, event: null };
+  }
+
+  const { userId, actionType, creditsAwarded, referrerId, metadata = {}, timestamp } = record;
+  const errors = [];
+  let externalId = null;
+
+  if (typeof userId !== 'string' || userId === '') {
+    errors.push('userId is required');
+  }
+  if (!actionType) {
+    errors.push('actionType is required');
+  } else if (!recordableTypes.has(actionType)) {
+    errors.push(`Events of type ${actionType} cannot be imported`);
+  }
+  if (typeof creditsAwarded !== 'number' || !Number.isFinite(creditsAwarded) || creditsAwarded < 0) {
+    errors.push('creditsAwarded must be a non-negative number');
+  }
+  if (referrerId !== undefined && referrerId !== null && typeof referrerId !== 'string') {
+    errors.push('referrerId must be a string');
+  }
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    errors.push('metadata must be an object');
+  }
+
+  const eventTime = timestamp === undefined || timestamp === null || timestamp === ''
+    ? new Date()
+    : new Date(timestamp);
+  if (isNaN(eventTime)) {
+    errors.push('timestamp must be a valid date');
+  } else if (eventTime > new Date()) {
+    errors.push('timestamp cannot be in the future');
+  }
+
   try {
-    if (!Array.isArray(events) || events.length === 0) {
-      throw new Error('Events array is required and cannot be empty');
+    externalId = parseIdempotencyKey(record.externalId);
+  } catch (error) {
+    errors.push(error.message.replace('Idempotency key', 'externalId'));
+  }
+
+  if (errors.length > 0) {
+    return { errors, externalId, event: null };
+  }
+
+  return {
+    errors,
+    externalId,
+    event: {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      actionType,
+      creditsAwarded,
+      referrerBonus: 0,
+      referrerId: referrerId || null,
+      referralBonusEventId: null,
+      awardBreakdown: { source: 'import', credits: creditsAwarded },
+      timestamp: eventTime,
+      metadata,
+      // Same key scope and payload hash as POST /api/credits, so a later API retry of an imported record replays it
+      idempotencyKey: scopeIdempotencyKey(externalId, apiKeyId, 'credits') || undefined,
+      requestHash: externalId
+        ? hashRequestPayload({ userId, actionType, creditsAwarded, referrerId: referrerId || undefined, metadata })
+        : undefined
     }
+  };
+}
+
+/**
+ * Marks import rows whose externalId is already in the ledger, or earlier in
+ * the same import, as duplicates. Reusing an externalId for a different
+ * record is rejected instead.
+ * @param {Array<Object>} rows - Validated import rows
+ * @returns {Promise<void>}
+ */
+async function markDuplicateRows(rows) {
+  const keyedRows = rows.filter(row => row.status === 'valid' && row.externalId);
+
+  if (keyedRows.length === 0) {
+    return;
+  }
 
-    // Validate each event
-    const validatedEvents = events.map(event => {
-      const { userId, actionType, creditsAwarded, referrerId, metadata = {} } = event;
-      
-      if (!userId || !actionType || creditsAwarded === undefined) {
-        throw new Error('Each event must have userId, actionType, and creditsAwarded');
+  const existingEvents = await CreditEvent.find({
+    idempotencyKey: { $in: keyedRows.map(row => row.event.idempotencyKey) }
+  }).select('idempotencyKey requestHash').lean();
+
+  const seen = new Map(existingEvents.map(event => [event.idempotencyKey, {
+    requestHash: event.requestHash,
+    duplicateOf: { eventId: event._id }
+  }]));
+
+  keyedRows.forEach(row => {
+    const previous = seen.get(row.event.idempotencyKey);
+
+    if (!previous) {
+      seen.set(row.event.idempotencyKey, { requestHash: row.event.requestHash, duplicateOf: { row: row.row } });
+    } else if (previous.requestHash && previous.requestHash !== row.event.requestHash) {
+      row.status = 'rejected';
+      row.errors = ['externalId has already been used for a different record'];
+    } else {
+      row.status = 'duplicate';
+      row.duplicateOf = previous.duplicateOf;
+    }
+  });
+}
+
+/**
+ * Applies award caps to validated import rows, rejecting those with no
+ * headroom left. Starts over from the validated events each time, since the
+ * driver may retry the transaction calling it.
+ * @param {Array<Object>} validRows - Rows that passed validation and duplicate checks
+ * @param {Map<string, Object>} recordableTypes - Action types that can be imported, by key
+ * @param {Object} [options] - Options passed to applyAwardCaps (session, dryRun)
+ * @returns {Promise<Array<Object>>} - Rows to write, with the event to insert as row.write
+ */
+async function applyImportCaps(validRows, recordableTypes, options = {}) {
+  const caps = await applyAwardCaps(validRows.map(row => ({
+    userId: row.event.userId,
+    actionType: recordableTypes.get(row.event.actionType),
+    credits: row.event.creditsAwarded,
+    timestamp: row.event.timestamp
+  })), options);
+
+  return validRows.filter((row, index) => {
+    const rowCaps = caps[index];
+
+    row.caps = rowCaps.capped ? rowCaps : undefined;
+    row.referral = undefined;
+
+    if (rowCaps.capped && rowCaps.credits === 0) {
+      row.status = 'rejected';
+      row.errors = [`Award cap reached for ${row.event.actionType}`];
+      row.write = null;
+      return false;
+    }
+
+    row.status = 'valid';
+    row.errors = undefined;
+    row.write = rowCaps.capped
+      ? {
+        ...row.event,
+        creditsAwarded: rowCaps.credits,
+        awardBreakdown: {
+          ...row.event.awardBreakdown,
+          cap: { requestedCredits: rowCaps.requestedCredits, limitedBy: rowCaps.limitedBy }
+        }
       }
+      : { ...row.event };
+    return true;
+  });
+}
 
+/**
+ * Bulk records credit events, e.g. when migrating historic data. Each record
+ * is validated on its own: invalid records are rejected and records whose
+ * externalId is already in the ledger are skipped as duplicates, while the
+ * rest are written together in one transaction. Award caps apply as for
+ * single awards. Imported events do not notify webhook subscribers.
+ * @param {Array<Object>} events - Records as { userId, actionType, creditsAwarded, timestamp, referrerId, metadata, externalId }
+ * @param {Object} [options] - Import options
+ * @param {string} [options.apiKeyId] - API key recording the events
+ * @param {boolean} [options.dryRun] - Validate and report what would be written, without writing
+ * @param {boolean} [options.processReferrals] - Pay referral bonuses for records with a referrerId (default: false)
+ * @returns {Promise<Object>} - Summary counts and a report per row (1-based, in input order)
+ */
+async function bulkRecordEvents(events, options = {}) {
+  try {
+    const { apiKeyId = null, dryRun = false, processReferrals = false } = options;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      throw createHttpError(400, 'Events array is required and cannot be empty');
+    }
+
+    if (events.length > IMPORT_MAX_ROWS) {
+      throw createHttpError(400, `Maximum ${IMPORT_MAX_ROWS} events per import`);
+    }
+
+    const recordableTypes = new Map(
+      (await listActionTypes({ includeInactive: true })).map(actionType => [actionType.key, actionType])
+    );
+
+    const rows = events.map((record, index) => {
+      const { errors, externalId, event } = validateImportRecord(record, recordableTypes, apiKeyId);
       return {
-        userId,
-        actionType,
-        creditsAwarded,
-        referrerBonus: 0, // Bulk operations don't process referrals
-        referrerId: referrerId || null,
-        metadata,
-        timestamp: event.timestamp || new Date()
+        row: index + 1,
+        status: errors.length > 0 ? 'rejected' : 'valid',
+        externalId: externalId || undefined,
+        errors: errors.length > 0 ? errors : undefined,
+        event: event && { ...event, apiKeyId }
       };
     });
 
-    const result = await CreditEvent.insertMany(validatedEvents, { ordered: false });
+    await markDuplicateRows(rows);
+
+    const validRows = rows.filter(row => row.status === 'valid');
+
+    if (dryRun) {
+      await applyImportCaps(validRows, recordableTypes, { dryRun });
+    } else {
+      try {
+        const insertedRows = await runInTransaction(async (session) => {
+          const rowsToInsert = await applyImportCaps(validRows, recordableTypes, { session });
+
+          // One at a time, operations in a transaction cannot share its session concurrently
+          for (const row of processReferrals ? rowsToInsert : []) {
+            const event = row.write;
+
+            if (event.referrerId && event.referrerId !== event.userId) {
+              const referral = await processReferralBonus(event.referrerId, event.actionType, event.creditsAwarded, event.userId, {
+                sourceEventId: event._id,
+                apiKeyId,
+                metadata: event.metadata,
+                session,
+                timestamp: event.timestamp
+              });
+
+              event.referrerBonus = referral.bonusAwarded || 0;
+              event.referralBonusEventId = referral.referralEventId || null;
+              row.referral = {
+                bonusAwarded: referral.bonusAwarded,
+                bonusHeld: !!referral.held,
+                levelBonuses: (referral.levelBonuses || []).map(({ level, referrerId, bonusAwarded }) => ({
+                  level,
+                  referrerId,
+                  bonusAwarded
+                }))
+              };
+            }
+          }
+
+          const insertedEvents = rowsToInsert.length > 0
+            ? await CreditEvent.insertMany(rowsToInsert.map(row => row.write), { session })
+            : [];
+          await applyEventsToBalances(insertedEvents, { session });
+
+          return rowsToInsert;
+        });
+
+        insertedRows.forEach(row => {
+          row.status = 'inserted';
+        });
+      } catch (error) {
+        if (isIdempotencyConflict(error)) {
+          throw createHttpError(409, 'Another request recorded some of these externalIds during the import, retry it');
+        }
+        throw error;
+      }
+    }
+
+    const count = status => rows.filter(row => row.status === status).length;
 
     return {
       success: true,
-      insertedCount: result.length,
-      insertedIds: result.map(doc => doc._id)
+      dryRun,
+      summary: {
+        totalRows: rows.length,
+        inserted: count('inserted'),
+        valid: dryRun ? count('valid') : undefined,
+        duplicated: count('duplicate'),
+        rejected: count('rejected'),
+        capped: rows.filter(row => row.caps && row.status !== 'rejected').length
+      },
+      rows: rows.map(({ row, status, externalId, errors, write, caps, duplicateOf, referral }) => ({
+        row,
+        status,
+        externalId,
+        eventId: status === 'inserted' ? write._id : undefined,
+        creditsAwarded: status === 'inserted' || status === 'valid' ? write.creditsAwarded : undefined,
+        errors,
+        caps,
+        duplicateOf,
+        referral
+      }))
     };
 
   } catch (error) {
@@ -273,6 +1384,12 @@ async function bulkRecordEvents(events) {
 module.exports = {
   recordCreditEvent,
   getUserCreditTotal,
+  calculateBalance,
+  withBalanceLock,
+  redeemCredits,
+  transferCredits,
+  reverseCreditEvent,
+  buildEventQuery,
   getCreditEvents,
   getSystemStats,
   bulkRecordEvents
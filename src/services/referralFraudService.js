@@ -0,0 +1,334 @@
+const CreditEvent = require('../models/CreditEvent');
+const ReferralHold = require('../models/ReferralHold');
+const { applyEventsToBalances } = require('./balanceService');
+const { evaluateBadges } = require('./badgeService');
+const { publishLedgerEvent, toWebhookData } = require('./webhookService');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+
+// How many referral levels up the chain to look for the referred user (A→B→…→A)
+const RING_MAX_DEPTH = parseInt(process.env.REFERRAL_RING_MAX_DEPTH || '5');
+// Distinct referred users per referrer per hour above which bonuses are held
+const VELOCITY_MAX_PER_HOUR = parseInt(process.env.REFERRAL_VELOCITY_MAX_PER_HOUR || '20');
+// Metadata fields identifying a device or network, compared between referrer and referred users
+const FINGERPRINT_FIELDS = (process.env.REFERRAL_FINGERPRINT_FIELDS || 'deviceId,ipAddress')
+  .split(',')
+  .map(field => field.trim())
+  .filter(Boolean);
+
+/**
+ * Checks whether the referred user already sits above the referrer in the
+ * referral chain, which would make the referral circular
+ * @param {string} referrerId - User receiving the bonus
+ * @param {string} referredUserId - User whose action triggered the bonus
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Object|null>} - Fraud signal, or null
+ */
+async function detectReferralRing(referrerId, referredUserId, session) {
+  const seen = new Set([referrerId]);
+  let level = [referrerId];
+
+  for (let depth = 1; depth <= RING_MAX_DEPTH && level.length > 0; depth++) {
+    const uplines = await CreditEvent.distinct('referrerId', {
+      userId: { $in: level },
+      referrerId: { $ne: null }
+    }).session(session || null);
+
+    if (uplines.includes(referredUserId)) {
+      return {
+        code: 'referral_ring',
+        detail: `${referredUserId} is ${depth} level(s) above ${referrerId} in the referral chain`
+      };
+    }
+
+    level = uplines.filter(userId => !seen.has(userId));
+    level.forEach(userId => seen.add(userId));
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a referrer gained an abnormal number of referrals in the hour
+ * up to the triggering event, so imported or backdated referrals are checked
+ * against their own time
+ * @param {string} referrerId - User receiving the bonus
+ * @param {string} referredUserId - User whose action triggered the bonus
+ * @param {Date} timestamp - When the triggering event happened
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Object|null>} - Fraud signal, or null
+ */
+async function detectReferralVelocity(referrerId, referredUserId, timestamp, session) {
+  const hourBefore = new Date(timestamp.getTime() - 60 * 60 * 1000);
+  const referredUsers = await CreditEvent.distinct('userId', {
+    referrerId,
+    timestamp: { $gte: hourBefore, $lte: timestamp }
+  }).session(session || null);
+
+  const count = referredUsers.includes(referredUserId) ? referredUsers.length : referredUsers.length + 1;
+
+  if (count > VELOCITY_MAX_PER_HOUR) {
+    return {
+      code: 'referral_velocity',
+      detail: `${referrerId} referred ${count} users within an hour (limit ${VELOCITY_MAX_PER_HOUR})`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether the referred user shares a device or IP fingerprint with the
+ * referrer or with another user the referrer brought in
+ * @param {string} referrerId - User receiving the bonus
+ * @param {string} referredUserId - User whose action triggered the bonus
+ * @param {Object} metadata - Metadata of the triggering event
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Object|null>} - Fraud signal, or null
+ */
+async function detectSharedFingerprint(referrerId, referredUserId, metadata, session) {
+  const fingerprints = FINGERPRINT_FIELDS
+    .filter(field => typeof metadata[field] === 'string' && metadata[field] !== '')
+    .map(field => ({ [`metadata.${field}`]: metadata[field] }));
+
+  if (fingerprints.length === 0) {
+    return null;
+  }
+
+  const match = await CreditEvent.findOne({
+    $and: [
+      { $or: [{ userId: referrerId }, { referrerId, userId: { $ne: referredUserId } }] },
+      { $or: fingerprints }
+    ]
+  }).select('userId metadata').session(session || null);
+
+  if (!match) {
+    return null;
+  }
+
+  const fields = FINGERPRINT_FIELDS.filter(field => match.metadata && match.metadata[field] === metadata[field]);
+
+  return {
+    code: 'shared_fingerprint',
+    detail: match.userId === referrerId
+      ? `${referredUserId} shares ${fields.join(', ')} with referrer ${referrerId}`
+      : `${referredUserId} shares ${fields.join(', ')} with ${match.userId}, also referred by ${referrerId}`
+  };
+}
+
+/**
+ * Runs every fraud check on a referral about to earn a bonus
+ * @param {Object} referral - Referral to assess
+ * @param {string} referral.referrerId - User receiving the bonus
+ * @param {string} referral.referredUserId - User whose action triggered the bonus
+ * @param {Object} [referral.metadata] - Metadata of the triggering event
+ * @param {Date} [referral.timestamp] - When the triggering event happened (default: now)
+ * @param {ClientSession} [referral.session] - Transaction to read in
+ * @returns {Promise<Array<Object>>} - Fraud signals raised, empty if the referral looks legitimate
+ */
+async function assessReferral(referral) {
+  const { referrerId, referredUserId, metadata = {}, timestamp = new Date(), session } = referral;
+
+  // Run one at a time, operations in a transaction cannot share its session concurrently
+  const signals = [
+    await detectReferralRing(referrerId, referredUserId, session),
+    await detectReferralVelocity(referrerId, referredUserId, timestamp, session),
+    await detectSharedFingerprint(referrerId, referredUserId, metadata, session)
+  ];
+
+  return signals.filter(Boolean);
+}
+
+/**
+ * Lists held referral bonuses, oldest first so the review queue is worked in order
+ * @param {Object} [filters] - Filter options
+ * @param {string} [filters.status] - pending (default), approved or rejected
+ * @param {string} [filters.referrerId] - Filter by referrer
+ * @param {number} [filters.limit] - Limit number of results (default: 50, max: 100)
+ * @param {number} [filters.skip] - Skip number of results (default: 0)
+ * @returns {Promise<Object>} - Holds and pagination
+ */
+async function listReferralHolds(filters = {}) {
+  try {
+    const { status = 'pending', referrerId, limit = 50, skip = 0 } = filters;
+    const query = { status };
+
+    if (referrerId) query.referrerId = referrerId;
+
+    const [holds, totalCount] = await Promise.all([
+      ReferralHold.find(query)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(Math.min(limit, 100)),
+      ReferralHold.countDocuments(query)
+    ]);
+
+    return {
+      holds,
+      pagination: {
+        totalCount,
+        limit,
+        skip,
+        hasMore: (skip + holds.length) < totalCount
+      }
+    };
+  } catch (error) {
+    console.error('Error listing referral holds:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Gets a single referral hold
+ * @param {string} holdId - Hold ID
+ * @returns {Promise<Object>} - Hold
+ */
+async function getReferralHold(holdId) {
+  try {
+    const hold = await ReferralHold.findById(holdId);
+
+    if (!hold) {
+      throw createHttpError(404, `Referral hold ${holdId} not found`);
+    }
+
+    return hold;
+  } catch (error) {
+    console.error('Error getting referral hold:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Marks a pending hold as reviewed
+ * @param {string} holdId - Hold ID
+ * @param {string} status - approved or rejected
+ * @param {Object} review - Review details
+ * @param {ClientSession} [session] - Transaction to write in
+ * @returns {Promise<Object>} - Updated hold
+ */
+async function closeHold(holdId, status, review, session) {
+  const hold = await ReferralHold.findOneAndUpdate(
+    { _id: holdId, status: 'pending' },
+    {
+      $set: {
+        status,
+        reviewedBy: review.reviewedBy || null,
+        reviewedAt: new Date(),
+        reviewNote: review.note || null
+      }
+    },
+    { new: true, session }
+  );
+
+  if (!hold) {
+    const exists = await ReferralHold.exists({ _id: holdId }).session(session || null);
+    throw exists
+      ? createHttpError(409, `Referral hold ${holdId} has already been reviewed`)
+      : createHttpError(404, `Referral hold ${holdId} not found`);
+  }
+
+  return hold;
+}
+
+/**
+ * Approves a held referral bonus and writes it to the ledger, together with
+ * the bonuses owed further up the referral chain
+ * @param {string} holdId - Hold ID
+ * @param {Object} [review] - Review details
+ * @param {string} [review.reviewedBy] - API key of the reviewer
+ * @param {string} [review.note] - Reviewer's note
+ * @returns {Promise<Object>} - Approved hold, the referral bonus event, the upline bonuses in levelBonuses
+ *   and the badges the referrer earned
+ */
+async function approveReferralHold(holdId, review = {}) {
+  try {
+    // Required here: referralService depends on this module for assessReferral
+    const { payUplineBonuses } = require('./referralService');
+
+    const result = await runInTransaction(async (session) => {
+      const hold = await closeHold(holdId, 'approved', review, session);
+      const sourceEvent = await CreditEvent.findById(hold.sourceEventId).session(session);
+
+      if (!sourceEvent || sourceEvent.reversedByEventId) {
+        throw createHttpError(409, 'The event that triggered this bonus has been reversed, reject the hold instead');
+      }
+
+      const referralEvent = new CreditEvent({
+        userId: hold.referrerId,
+        actionType: 'referral_bonus',
+        creditsAwarded: hold.bonusCredits,
+        referrerBonus: 0,
+        referrerId: null,
+        sourceEventId: hold.sourceEventId,
+        referralLevel: 1,
+        apiKeyId: hold.apiKeyId,
+        metadata: {
+          triggeredBy: hold.referredUserId,
+          originalAction: hold.actionType,
+          originalCredits: hold.baseCredits,
+          referralHoldId: hold._id
+        }
+      });
+
+      await referralEvent.save({ session });
+
+      const levelBonuses = await payUplineBonuses(
+        { referrerId: hold.referrerId, actionType: hold.actionType, baseCredits: hold.baseCredits, newUserId: hold.referredUserId },
+        { sourceEventId: hold.sourceEventId, apiKeyId: hold.apiKeyId, session, timestamp: referralEvent.timestamp }
+      );
+
+      await CreditEvent.updateOne(
+        { _id: sourceEvent._id },
+        { $set: { referrerBonus: hold.bonusCredits, referralBonusEventId: referralEvent._id } },
+        { session }
+      );
+
+      hold.releasedEventId = referralEvent._id;
+      await hold.save({ session });
+      await applyEventsToBalances([referralEvent, ...levelBonuses.map(bonus => bonus.referralEvent)], { session });
+
+      // The referral now counts towards the referrer's badges, as for a bonus paid straight away
+      const badges = await evaluateBadges(hold.referrerId, referralEvent, { session, apiKeyId: hold.apiKeyId });
+
+      return { hold, referralEvent, levelBonuses, badges };
+    });
+
+    await publishLedgerEvent('referral.bonus_awarded', toWebhookData(result.referralEvent));
+    for (const bonus of result.levelBonuses) {
+      await publishLedgerEvent('referral.bonus_awarded', toWebhookData(bonus.referralEvent));
+    }
+    for (const earned of result.badges.filter(badge => badge.bonusEvent)) {
+      await publishLedgerEvent('credit.awarded', toWebhookData(earned.bonusEvent));
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error approving referral hold:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Rejects a held referral bonus; nothing is written to the ledger
+ * @param {string} holdId - Hold ID
+ * @param {Object} [review] - Review details
+ * @param {string} [review.reviewedBy] - API key of the reviewer
+ * @param {string} [review.note] - Reviewer's note
+ * @returns {Promise<Object>} - Rejected hold
+ */
+async function rejectReferralHold(holdId, review = {}) {
+  try {
+    return await closeHold(holdId, 'rejected', review);
+  } catch (error) {
+    console.error('Error rejecting referral hold:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+module.exports = {
+  assessReferral,
+  listReferralHolds,
+  getReferralHold,
+  approveReferralHold,
+  rejectReferralHold
+}; 
\ No newline at end of file
@@ -1,57 +1,210 @@
 const CreditEvent = require('../models/CreditEvent');
+const ReferralHold = require('../models/ReferralHold');
+const { getActionType } = require('./actionTypeService');
+const { applyEventsToBalances } = require('./balanceService');
+const { assessReferral } = require('./referralFraudService');
+const { createHttpError } = require('../utils/errors');
+
+// Share of the referral bonus paid at each level of the referral chain, starting
+// with the direct referrer. The list length is how many levels are paid.
+const LEVEL_MULTIPLIERS = parseLevelMultipliers(process.env.REFERRAL_LEVEL_MULTIPLIERS || '1');
+
+const DEFAULT_TREE_DEPTH = 2;
+const MAX_TREE_DEPTH = 5;
+// Most referred users listed in one tree, deeper levels are cut off beyond this
+const MAX_TREE_NODES = 500;
 
 /**
- * Calculates referral bonus based on action type
+ * Calculates referral bonus based on the action type's referral multiplier
+ * and the share paid at a level of the referral chain
  * @param {string} actionType - The type of action that triggered the referral
  * @param {number} baseCredits - Base credits awarded for the action
- * @returns {number} - Bonus credits for the referrer
+ * @param {number} [level] - Level in the referral chain, 1 for the direct referrer (default: 1)
+ * @returns {Promise<number>} - Bonus credits for the referrer at that level
+ */
+async function calculateReferralBonus(actionType, baseCredits, level = 1) {
+  // Unknown action types fall back to the multiplier for 'other'
+  const registryEntry = await getActionType(actionType) || await getActionType('other');
+  const multiplier = registryEntry ? registryEntry.referralMultiplier : 0;
+  const levelMultiplier = LEVEL_MULTIPLIERS[level - 1] || 0;
+  return Math.floor(baseCredits * multiplier * levelMultiplier);
+}
+
+/**
+ * Parses REFERRAL_LEVEL_MULTIPLIERS. An invalid entry is an error rather than
+ * skipped, since skipping it would shift every later level up by one.
+ * @param {string} value - Comma-separated multipliers, direct referrer first
+ * @returns {Array<number>}
+ */
+function parseLevelMultipliers(value) {
+  return value.split(',').map((entry, index) => {
+    const multiplier = Number(entry.trim());
+
+    if (entry.trim() === '' || !Number.isFinite(multiplier) || multiplier < 0) {
+      throw new Error(`Invalid REFERRAL_LEVEL_MULTIPLIERS entry for level ${index + 1}: "${entry}"`);
+    }
+
+    return multiplier;
+  });
+}
+
+/**
+ * Finds who referred a user: the referrer on their earliest referred event
+ * @param {string} userId - User to look up
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Object|null>} - { userId, referredAt } of the referrer, or null
  */
-function calculateReferralBonus(actionType, baseCredits) {
-  const bonusMultipliers = {
-    'enrollment': 0.2, // 20% bonus for referrer on new enrollments
-    'social_post': 0.1, // 10% bonus
-    'tech_module': 0.15, // 15% bonus
-    'spend_multiplier': 0.25, // 25% bonus
-    'coffee_wall': 0.05, // 5% bonus
-    'other': 0.1 // Default 10% bonus
-  };
-  
-  const multiplier = bonusMultipliers[actionType] || bonusMultipliers['other'];
-  return Math.floor(baseCredits * multiplier);
+async function findReferrerOf(userId, session) {
+  const event = await CreditEvent.findOne({ userId, referrerId: { $ne: null } })
+    .sort({ timestamp: 1, _id: 1 })
+    .select('referrerId timestamp')
+    .session(session || null);
+
+  return event ? { userId: event.referrerId, referredAt: event.timestamp } : null;
 }
 
 /**
- * Processes referral bonus when a referrerId is provided
+ * Pays the smaller bonuses owed further up the referral chain, starting with
+ * the direct referrer's own referrer. Stops at a user already in the chain,
+ * so referral rings are never paid twice.
+ * @param {Object} referral - Referral that earned the direct bonus
+ * @param {string} referral.referrerId - Direct referrer
+ * @param {string} referral.actionType - Type of action performed by the referred user
+ * @param {number} referral.baseCredits - Credits awarded for the base action
+ * @param {string} referral.newUserId - User whose action triggered the bonuses
+ * @param {Object} options - Options passed to processReferralBonus
+ * @returns {Promise<Array<Object>>} - Bonuses paid as { level, referrerId, bonusAwarded, referralEventId, referralEvent }
+ */
+async function payUplineBonuses(referral, options) {
+  const { referrerId, actionType, baseCredits, newUserId } = referral;
+  const { sourceEventId, apiKeyId, session, timestamp } = options;
+  const chain = new Set([newUserId, referrerId]);
+  const bonuses = [];
+  let current = referrerId;
+
+  for (let level = 2; level <= LEVEL_MULTIPLIERS.length; level++) {
+    const upline = await findReferrerOf(current, session);
+
+    if (!upline || chain.has(upline.userId)) {
+      break;
+    }
+
+    chain.add(upline.userId);
+    current = upline.userId;
+
+    const bonusCredits = await calculateReferralBonus(actionType, baseCredits, level);
+
+    if (bonusCredits <= 0) {
+      continue;
+    }
+
+    const referralEvent = new CreditEvent({
+      userId: upline.userId,
+      actionType: 'referral_bonus',
+      creditsAwarded: bonusCredits,
+      referrerBonus: 0,
+      referrerId: null,
+      sourceEventId,
+      referralLevel: level,
+      apiKeyId,
+      timestamp,
+      metadata: {
+        triggeredBy: newUserId,
+        originalAction: actionType,
+        originalCredits: baseCredits
+      }
+    });
+
+    await referralEvent.save({ session });
+
+    bonuses.push({
+      level,
+      referrerId: upline.userId,
+      bonusAwarded: bonusCredits,
+      referralEventId: referralEvent._id,
+      referralEvent
+    });
+  }
+
+  return bonuses;
+}
+
+/**
+ * Processes referral bonus when a referrerId is provided. The direct referrer
+ * is paid first, then each referrer further up the chain is paid its level's
+ * share (see REFERRAL_LEVEL_MULTIPLIERS).
  * @param {string} referrerId - ID of the user who made the referral
  * @param {string} actionType - Type of action performed by referred user
  * @param {number} baseCredits - Credits awarded for the base action
  * @param {string} newUserId - ID of the user who was referred
- * @returns {Promise<Object>} - Referral processing result
+ * @param {Object} [options] - Processing options
+ * @param {ObjectId} [options.sourceEventId] - ID of the event that triggered the bonus
+ * @param {string} [options.apiKeyId] - API key that recorded the triggering event
+ * @param {Object} [options.metadata] - Metadata of the triggering event, checked for shared fingerprints
+ * @param {ClientSession} [options.session] - Transaction the bonus is written in
+ * @param {Date} [options.timestamp] - When the bonus is recorded (default: now), imports pass the source event's time
+ * @returns {Promise<Object>} - Referral processing result, with upline bonuses in levelBonuses.
+ *   Suspicious bonuses are held instead of awarded, and then nothing is paid further up the chain.
  */
-async function processReferralBonus(referrerId, actionType, baseCredits, newUserId) {
+async function processReferralBonus(referrerId, actionType, baseCredits, newUserId, options = {}) {
   try {
-    if (!referrerId || !actionType || !baseCredits || !newUserId) {
+    const { sourceEventId = null, apiKeyId = null, metadata = {}, session, timestamp = new Date() } = options;
+
+    if (!referrerId || !actionType || baseCredits === undefined || !newUserId) {
       throw new Error('Missing required parameters for referral processing');
     }
 
     // Calculate bonus credits for referrer
-    const bonusCredits = calculateReferralBonus(actionType, baseCredits);
+    const bonusCredits = await calculateReferralBonus(actionType, baseCredits);
     
     if (bonusCredits <= 0) {
       return {
         success: true,
         bonusAwarded: 0,
+        levelBonuses: [],
         message: 'No bonus credits applicable for this action type'
       };
     }
 
-    // Create referral bonus event for the referrer
+    // Suspicious referrals are held for admin review instead of being paid out
+    const signals = await assessReferral({ referrerId, referredUserId: newUserId, metadata, timestamp, session });
+
+    if (signals.length > 0) {
+      const hold = new ReferralHold({
+        referrerId,
+        referredUserId: newUserId,
+        sourceEventId,
+        actionType,
+        baseCredits,
+        bonusCredits,
+        signals,
+        apiKeyId
+      });
+
+      await hold.save({ session });
+
+      return {
+        success: true,
+        bonusAwarded: 0,
+        held: true,
+        referralHoldId: hold._id,
+        levelBonuses: [],
+        message: `Referral bonus of ${bonusCredits} credits held for review`
+      };
+    }
+
+    // Create referral bonus event for the referrer. Errors propagate so the
+    // caller's transaction rolls back the event that triggered the bonus too.
     const referralEvent = new CreditEvent({
       userId: referrerId,
       actionType: 'referral_bonus',
       creditsAwarded: bonusCredits,
       referrerBonus: 0, // This is the bonus event itself
       referrerId: null, // Referrer doesn't have a referrer for this bonus
+      sourceEventId,
+      referralLevel: 1,
+      apiKeyId,
+      timestamp,
       metadata: {
         triggeredBy: newUserId,
         originalAction: actionType,
@@ -59,22 +212,29 @@ async function processReferralBonus(referrerId, actionType, baseCredits, newUser
       }
     });
 
-    await referralEvent.save();
+    await referralEvent.save({ session });
+
+    const levelBonuses = await payUplineBonuses(
+      { referrerId, actionType, baseCredits, newUserId },
+      { sourceEventId, apiKeyId, session, timestamp }
+    );
+
+    await applyEventsToBalances([referralEvent, ...levelBonuses.map(bonus => bonus.referralEvent)], { session });
 
     return {
       success: true,
       bonusAwarded: bonusCredits,
       referralEventId: referralEvent._id,
-      message: `Referral bonus of ${bonusCredits} credits awarded to ${referrerId}`
+      referralEvent,
+      levelBonuses,
+      message: levelBonuses.length > 0
+        ? `Referral bonus of ${bonusCredits} credits awarded to ${referrerId}, plus ${levelBonuses.length} upline bonus(es)`
+        : `Referral bonus of ${bonusCredits} credits awarded to ${referrerId}`
     };
 
   } catch (error) {
     console.error('Error processing referral bonus:', error);
-    return {
-      success: false,
-      bonusAwarded: 0,
-      error: error.message
-    };
+    throw error;
   }
 }
 
@@ -108,8 +268,9 @@ async function getReferralBonusSummary(userId) {
       actionType: 'referral_bonus'
     }).sort({ timestamp: -1 });
 
+    // Reversal entries are negative, so the sum is net of clawed back bonuses
     const totalBonusCredits = bonusEvents.reduce((sum, event) => sum + event.creditsAwarded, 0);
-    const totalReferrals = bonusEvents.length;
+    const totalReferrals = bonusEvents.filter(event => !event.reversalOf && !event.reversedByEventId).length;
 
     return {
       totalBonusCredits,
@@ -122,9 +283,157 @@ async function getReferralBonusSummary(userId) {
   }
 }
 
+/**
+ * Finds the users referred by any of a set of referrers. A user referred by
+ * several people belongs to whoever referred them first (see findReferrerOf),
+ * so they are left out if that is someone outside the set.
+ * @param {Array<string>} referrerIds - Referrers to look up
+ * @returns {Promise<Array<Object>>} - Referred users as { userId, referrerId, referredAt }
+ */
+async function findReferredUsers(referrerIds) {
+  const candidates = await CreditEvent.distinct('userId', { referrerId: { $in: referrerIds } });
+
+  // Every candidate's earliest referred event, whoever the referrer on it is
+  const referred = await CreditEvent.aggregate([
+    { $match: { userId: { $in: candidates }, referrerId: { $ne: null } } },
+    { $sort: { timestamp: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$userId',
+        referrerId: { $first: '$referrerId' },
+        referredAt: { $first: '$timestamp' }
+      }
+    },
+    { $match: { referrerId: { $in: referrerIds } } },
+    { $sort: { referredAt: 1, _id: 1 } }
+  ]);
+
+  return referred.map(entry => ({ userId: entry._id, referrerId: entry.referrerId, referredAt: entry.referredAt }));
+}
+
+/**
+ * Builds a user's referral tree: the users they referred, who those users
+ * referred, and so on down to the requested depth, plus the user's own referrer
+ * @param {string} userId - User at the root of the tree
+ * @param {Object} [options] - Tree options
+ * @param {number} [options.depth] - Levels of referrals to include (default: 2, max: 5)
+ * @returns {Promise<Object>} - Upstream referrer and the nested downline. Each referred user has
+ *   the date they were referred and enrolled, and the bonus credits they earned their referrer
+ *   (reversed bonuses excluded).
+ */
+async function getReferralTree(userId, options = {}) {
+  try {
+    const { depth = DEFAULT_TREE_DEPTH } = options;
+
+    if (!userId) {
+      throw createHttpError(400, 'User ID is required');
+    }
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_TREE_DEPTH) {
+      throw createHttpError(400, `depth must be an integer between 1 and ${MAX_TREE_DEPTH}`);
+    }
+
+    const referrer = await findReferrerOf(userId);
+
+    const nodes = new Map([[userId, { referrals: [] }]]);
+    let level = [userId];
+    let truncated = false;
+    let levelsLoaded = 0;
+
+    while (level.length > 0 && levelsLoaded < depth && !truncated) {
+      // Users already in the tree (including the root) are skipped, so referral rings cannot loop
+      let referred = (await findReferredUsers(level)).filter(entry => !nodes.has(entry.userId));
+
+      if (nodes.size - 1 + referred.length > MAX_TREE_NODES) {
+        referred = referred.slice(0, MAX_TREE_NODES - (nodes.size - 1));
+        truncated = true;
+      }
+
+      if (referred.length === 0) {
+        break;
+      }
+
+      const referredIds = referred.map(entry => entry.userId);
+
+      const [activity, bonuses] = await Promise.all([
+        CreditEvent.aggregate([
+          { $match: { userId: { $in: referredIds } } },
+          {
+            $group: {
+              _id: '$userId',
+              enrolledAt: { $min: { $cond: [{ $eq: ['$actionType', 'enrollment'] }, '$timestamp', null] } },
+              firstActivity: { $min: '$timestamp' }
+            }
+          }
+        ]),
+        CreditEvent.aggregate([
+          {
+            $match: {
+              userId: { $in: level },
+              actionType: 'referral_bonus',
+              referralLevel: { $in: [null, 1] },
+              reversedByEventId: null,
+              'metadata.triggeredBy': { $in: referredIds }
+            }
+          },
+          {
+            $group: {
+              _id: { referrerId: '$userId', referredUserId: '$metadata.triggeredBy' },
+              bonusCredits: { $sum: '$creditsAwarded' },
+              bonusCount: { $sum: 1 }
+            }
+          }
+        ])
+      ]);
+
+      const activityByUser = new Map(activity.map(entry => [entry._id, entry]));
+      const bonusByPair = new Map(bonuses.map(entry => [
+        `${entry._id.referrerId}:${entry._id.referredUserId}`,
+        entry
+      ]));
+
+      referred.forEach(entry => {
+        const userActivity = activityByUser.get(entry.userId) || {};
+        const bonus = bonusByPair.get(`${entry.referrerId}:${entry.userId}`);
+        const node = {
+          userId: entry.userId,
+          referredAt: entry.referredAt,
+          enrolledAt: userActivity.enrolledAt || null,
+          firstActivity: userActivity.firstActivity || null,
+          bonusCredits: bonus ? bonus.bonusCredits : 0,
+          bonusCount: bonus ? bonus.bonusCount : 0,
+          referrals: []
+        };
+
+        nodes.set(entry.userId, node);
+        nodes.get(entry.referrerId).referrals.push(node);
+      });
+
+      level = referredIds;
+      levelsLoaded++;
+    }
+
+    const root = nodes.get(userId);
+
+    return {
+      userId,
+      referrer,
+      depth,
+      totalReferrals: nodes.size - 1,
+      directReferrals: root.referrals.length,
+      truncated,
+      referrals: root.referrals
+    };
+  } catch (error) {
+    console.error('Error getting referral tree:', error);
+    throw error;
+  }
+}
+
 module.exports = {
+  payUplineBonuses,
   calculateReferralBonus,
   processReferralBonus,
   validateReferrer,
-  getReferralBonusSummary
+  getReferralBonusSummary,
+  getReferralTree
 }; 
\ No newline at end of file
@@ -0,0 +1,311 @@
+const CreditEvent = require('../models/CreditEvent');
+const { listActionTypes } = require('./actionTypeService');
+const { createHttpError } = require('../utils/errors');
+const { toCsvRow } = require('../utils/csv');
+
+const STATEMENT_FORMATS = ['json', 'csv', 'html'];
+
+// Most events one statement lists; longer periods are split into several statements
+const STATEMENT_MAX_EVENTS = parseInt(process.env.STATEMENT_MAX_EVENTS || '5000');
+
+const DEFAULT_PERIOD_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = ['timestamp', 'eventId', 'actionType', 'description', 'credits', 'balance'];
+
+/**
+ * Parses the statement period. Without bounds the statement covers the last
+ * 30 days; without a start it covers the 30 days before the end.
+ * @param {string|Date} [from] - Period start, inclusive
+ * @param {string|Date} [to] - Period end, inclusive
+ * @returns {Object} - { from, to } as dates
+ */
+function parsePeriod(from, to) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+
+  if (isNaN(start) || isNaN(end)) {
+    throw createHttpError(400, 'from and to must be valid dates');
+  }
+  if (start > end) {
+    throw createHttpError(400, 'from must not be after to');
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Describes a statement line, e.g. "Coffee Wall", "Coffee Wall (reversal)"
+ * or "Transfer Sent to user456: Thanks for the help"
+ * @param {Object} event - Credit event
+ * @param {Map} labels - Action type labels keyed by action type
+ * @returns {string}
+ */
+function describeEvent(event, labels) {
+  const label = labels.get(event.actionType) || event.actionType;
+  const { counterpartyUserId, note } = event.metadata || {};
+
+  if (event.actionType === 'transfer_out' || event.actionType === 'transfer_in') {
+    const transfer = `${label} ${event.actionType === 'transfer_out' ? 'to' : 'from'} ${counterpartyUserId}`;
+    return note ? `${transfer}: ${note}` : transfer;
+  }
+
+  return event.reversalOf ? `${label} (reversal)` : label;
+}
+
+/**
+ * Builds a user's statement for a period: the balance before it, every event
+ * in it with the running balance, the balance after it and subtotals per
+ * action type
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Statement options
+ * @param {string|Date} [options.from] - Period start, inclusive (default: 30 days before to)
+ * @param {string|Date} [options.to] - Period end, inclusive (default: now)
+ * @returns {Promise<Object>} - Statement
+ */
+async function getStatement(userId, options = {}) {
+  try {
+    if (!userId) {
+      throw createHttpError(400, 'User ID is required');
+    }
+
+    const { from, to } = parsePeriod(options.from, options.to);
+    const periodQuery = { userId, timestamp: { $gte: from, $lte: to } };
+
+    const [opening, eventCount, actionTypes] = await Promise.all([
+      CreditEvent.aggregate([
+        { $match: { userId, timestamp: { $lt: from } } },
+        { $group: { _id: null, credits: { $sum: '$creditsAwarded' } } }
+      ]),
+      CreditEvent.countDocuments(periodQuery),
+      listActionTypes({ includeInactive: true, includeInternal: true })
+    ]);
+
+    if (eventCount > STATEMENT_MAX_EVENTS) {
+      throw createHttpError(400, `Statement period has more than ${STATEMENT_MAX_EVENTS} events, choose a shorter period`, {
+        eventCount,
+        maxEvents: STATEMENT_MAX_EVENTS
+      });
+    }
+
+    const events = await CreditEvent.find(periodQuery).sort({ timestamp: 1, _id: 1 }).lean();
+    const labels = new Map(actionTypes.map(actionType => [actionType.key, actionType.label]));
+    const openingBalance = opening.length > 0 ? opening[0].credits : 0;
+
+    let balance = openingBalance;
+    let credited = 0;
+    let debited = 0;
+    const subtotals = {};
+
+    const lines = events.map(event => {
+      balance += event.creditsAwarded;
+
+      if (event.creditsAwarded >= 0) {
+        credited += event.creditsAwarded;
+      } else {
+        debited -= event.creditsAwarded;
+      }
+
+      if (!subtotals[event.actionType]) {
+        subtotals[event.actionType] = { label: labels.get(event.actionType) || event.actionType, count: 0, credits: 0 };
+      }
+      subtotals[event.actionType].count += 1;
+      subtotals[event.actionType].credits += event.creditsAwarded;
+
+      return {
+        eventId: event._id,
+        timestamp: event.timestamp,
+        actionType: event.actionType,
+        description: describeEvent(event, labels),
+        credits: event.creditsAwarded,
+        balance,
+        reversalOf: event.reversalOf || null,
+        sourceEventId: event.sourceEventId || null,
+        metadata: event.metadata || {}
+      };
+    });
+
+    return {
+      userId,
+      from,
+      to,
+      openingBalance,
+      closingBalance: balance,
+      totals: {
+        credited,
+        debited,
+        net: credited - debited
+      },
+      subtotals,
+      events: lines
+    };
+  } catch (error) {
+    console.error('Error building statement:', error);
+    throw error;
+  }
+}
+
+/**
+ * Renders a statement as CSV: an opening balance line, one line per event,
+ * a closing balance line, then one subtotal line per action type
+ * @param {Object} statement - Result of getStatement
+ * @returns {string} - CSV document
+ */
+function renderStatementCsv(statement) {
+  let csv = toCsvRow(CSV_COLUMNS);
+
+  csv += toCsvRow([statement.from, null, null, 'Opening balance', null, statement.openingBalance]);
+  for (const line of statement.events) {
+    csv += toCsvRow([line.timestamp, line.eventId, line.actionType, line.description, line.credits, line.balance]);
+  }
+  csv += toCsvRow([statement.to, null, null, 'Closing balance', null, statement.closingBalance]);
+
+  for (const [actionType, subtotal] of Object.entries(statement.subtotals)) {
+    csv += toCsvRow([null, null, actionType, `Subtotal: ${subtotal.label} (${subtotal.count} ${subtotal.count === 1 ? 'event' : 'events'})`, subtotal.credits, null]);
+  }
+
+  return csv;
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a date for the printable statement
+ * @param {Date} date - Date
+ * @returns {string} - YYYY-MM-DD HH:mm UTC
+ */
+function formatDate(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Renders a statement as a standalone printable HTML page
+ * @param {Object} statement - Result of getStatement
+ * @returns {string} - HTML document
+ */
+function renderStatementHtml(statement) {
+  const eventRows = statement.events.map(line => `
+        <tr>
+          <td>${escapeHtml(formatDate(line.timestamp))}</td>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${escapeHtml(line.credits)}</td>
+          <td class="num">${escapeHtml(line.balance)}</td>
+        </tr>`).join('');
+
+  const subtotalRows = Object.entries(statement.subtotals).map(([actionType, subtotal]) => `
+        <tr>
+          <td>${escapeHtml(subtotal.label)} <span class="muted">${escapeHtml(actionType)}</span></td>
+          <td class="num">${escapeHtml(subtotal.count)}</td>
+          <td class="num">${escapeHtml(subtotal.credits)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Credit statement for ${escapeHtml(statement.userId)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 2em; }
+    h1 { font-size: 1.4em; margin-bottom: 0.2em; }
+    h2 { font-size: 1.1em; margin-top: 2em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.35em 0.5em; text-align: left; }
+    th { background: #f4f4f4; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    .muted { color: #888; font-size: 0.85em; }
+    .summary td { border: none; padding: 0.15em 1em 0.15em 0; }
+    @media print { body { margin: 0; } th { background: none; } tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>Credit statement</h1>
+  <p>User <strong>${escapeHtml(statement.userId)}</strong><br>
+    ${escapeHtml(formatDate(statement.from))} to ${escapeHtml(formatDate(statement.to))}</p>
+
+  <table class="summary">
+    <tr><td>Opening balance</td><td class="num">${escapeHtml(statement.openingBalance)}</td></tr>
+    <tr><td>Credited</td><td class="num">${escapeHtml(statement.totals.credited)}</td></tr>
+    <tr><td>Debited</td><td class="num">${escapeHtml(-statement.totals.debited)}</td></tr>
+    <tr><td><strong>Closing balance</strong></td><td class="num"><strong>${escapeHtml(statement.closingBalance)}</strong></td></tr>
+  </table>
+
+  <h2>Activity</h2>
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Description</th><th class="num">Credits</th><th class="num">Balance</th></tr>
+    </thead>
+    <tbody>${eventRows || `
+        <tr><td colspan="4" class="muted">No activity in this period</td></tr>`}
+    </tbody>
+  </table>
+
+  <h2>Subtotals by action</h2>
+  <table>
+    <thead>
+      <tr><th>Action</th><th class="num">Events</th><th class="num">Credits</th></tr>
+    </thead>
+    <tbody>${subtotalRows || `
+        <tr><td colspan="3" class="muted">No activity in this period</td></tr>`}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds a user's statement and renders it in the requested format
+ * @param {string} userId - User ID
+ * @param {Object} options - Statement options
+ * @param {string|Date} [options.from] - Period start, inclusive
+ * @param {string|Date} [options.to] - Period end, inclusive
+ * @param {string} [options.format] - json, csv or html (default: json)
+ * @returns {Promise<Object>} - { statement, body, contentType, filename }; body is null for json
+ */
+async function createStatement(userId, options = {}) {
+  const { format = 'json' } = options;
+
+  if (!STATEMENT_FORMATS.includes(format)) {
+    throw createHttpError(400, 'Invalid statement format', { validFormats: STATEMENT_FORMATS });
+  }
+
+  const statement = await getStatement(userId, options);
+  const period = `${statement.from.toISOString().slice(0, 10)}-to-${statement.to.toISOString().slice(0, 10)}`;
+
+  if (format === 'csv') {
+    return {
+      statement,
+      body: renderStatementCsv(statement),
+      contentType: 'text/csv; charset=utf-8',
+      filename: `statement-${period}.csv`
+    };
+  }
+
+  if (format === 'html') {
+    return {
+      statement,
+      body: renderStatementHtml(statement),
+      contentType: 'text/html; charset=utf-8',
+      filename: `statement-${period}.html`
+    };
+  }
+
+  return { statement, body: null, contentType: 'application/json', filename: null };
+}
+
+module.exports = {
+  getStatement,
+  createStatement
+}; 
\ No newline at end of file
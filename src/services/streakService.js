@@ -0,0 +1,181 @@
+const UserStreak = require('../models/UserStreak');
+const CreditEvent = require('../models/CreditEvent');
+const { applyEventsToBalances } = require('./balanceService');
+const { assertTimeZone, getZonedParts } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Action types tracked for streaks
+const STREAK_ACTION_TYPES = (process.env.STREAK_ACTION_TYPES || 'coffee_wall,social_post')
+  .split(',')
+  .map(actionType => actionType.trim())
+  .filter(Boolean);
+
+// Calendar days are counted in this time zone
+const STREAK_TIMEZONE = assertTimeZone(process.env.STREAK_TIMEZONE || 'UTC');
+
+// Days a user can miss without losing their streak
+const STREAK_GRACE_DAYS = parseInt(process.env.STREAK_GRACE_DAYS || '0');
+
+// "days:credits" pairs, e.g. 7:50 pays 50 credits when a streak reaches 7 days
+const STREAK_MILESTONES = (process.env.STREAK_MILESTONES || '7:50,30:200')
+  .split(',')
+  .map(milestone => milestone.split(':').map(value => parseInt(value)))
+  .filter(([days, credits]) => days > 0 && credits > 0)
+  .map(([days, credits]) => ({ days, credits }));
+
+/**
+ * Gets the calendar date of an instant in the streak time zone
+ * @param {Date} date - Instant
+ * @returns {string} - YYYY-MM-DD
+ */
+function toStreakDay(date) {
+  const { year, month, day } = getZonedParts(date, STREAK_TIMEZONE);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Counts the days from one calendar date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Whether a streak last extended on a day is still alive on another day
+ * @param {string} lastActiveOn - Last day with activity
+ * @param {string} day - Day to check
+ * @returns {boolean}
+ */
+function isAlive(lastActiveOn, day) {
+  return !!lastActiveOn && daysBetween(lastActiveOn, day) <= 1 + STREAK_GRACE_DAYS;
+}
+
+/**
+ * Extends the user's streak for an event's action type and pays the milestone
+ * bonus when the streak reaches one. Call it in the transaction recording the
+ * event, after saving it.
+ * @param {string} userId - User ID
+ * @param {Object} event - Event just recorded for the user
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction the event is written in
+ * @param {string} [options.apiKeyId] - API key recording the event
+ * @returns {Promise<Object|null>} - { actionType, currentStreak, longestStreak, bonusEvent }, or null
+ *   if the action type is not tracked
+ */
+async function recordStreakActivity(userId, event, options = {}) {
+  const { session, apiKeyId = null } = options;
+  const { actionType } = event;
+
+  if (!STREAK_ACTION_TYPES.includes(actionType)) {
+    return null;
+  }
+
+  const day = toStreakDay(event.timestamp);
+  const streak = await UserStreak.findOne({ userId, actionType }).session(session || null);
+
+  // Further activity on the same day does not extend the streak
+  if (streak && streak.lastActiveOn && daysBetween(streak.lastActiveOn, day) <= 0) {
+    return { actionType, currentStreak: streak.currentStreak, longestStreak: streak.longestStreak, bonusEvent: null };
+  }
+
+  const continues = streak && isAlive(streak.lastActiveOn, day);
+  const currentStreak = continues ? streak.currentStreak + 1 : 1;
+  const longestStreak = Math.max(currentStreak, streak ? streak.longestStreak : 0);
+  const startedOn = continues ? streak.startedOn : day;
+
+  await UserStreak.updateOne(
+    { userId, actionType },
+    { $set: { currentStreak, longestStreak, startedOn, lastActiveOn: day } },
+    { upsert: true, session }
+  );
+
+  // A streak grows by one day at a time, so each milestone is paid once per streak
+  const milestone = STREAK_MILESTONES.find(candidate => candidate.days === currentStreak);
+  let bonusEvent = null;
+
+  if (milestone) {
+    bonusEvent = await new CreditEvent({
+      userId,
+      actionType: 'streak_bonus',
+      creditsAwarded: milestone.credits,
+      awardBreakdown: { source: 'streak', actionType, streakDays: milestone.days, credits: milestone.credits },
+      sourceEventId: event._id,
+      timestamp: event.timestamp,
+      metadata: { streakActionType: actionType, streakDays: milestone.days, streakStartedOn: startedOn },
+      apiKeyId
+    }).save({ session });
+    await applyEventsToBalances([bonusEvent], { session });
+  }
+
+  return { actionType, currentStreak, longestStreak, bonusEvent };
+}
+
+/**
+ * Gets a user's current and longest streak for every tracked action type. A
+ * streak the user let lapse reads as a current streak of 0.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Streaks keyed by action type
+ */
+async function getUserStreaks(userId) {
+  try {
+    const streaks = await UserStreak.find({ userId, actionType: { $in: STREAK_ACTION_TYPES } });
+    const today = toStreakDay(new Date());
+
+    return STREAK_ACTION_TYPES.reduce((acc, actionType) => {
+      const streak = streaks.find(candidate => candidate.actionType === actionType);
+      const alive = !!streak && isAlive(streak.lastActiveOn, today);
+
+      acc[actionType] = {
+        current: alive ? streak.currentStreak : 0,
+        longest: streak ? streak.longestStreak : 0,
+        startedOn: alive ? streak.startedOn : null,
+        lastActiveOn: streak ? streak.lastActiveOn : null
+      };
+      return acc;
+    }, {});
+  } catch (error) {
+    console.error('Error getting user streaks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Whether streaks are tracked for an action type
+ * @param {string} actionType - Action type key
+ * @returns {boolean}
+ */
+function isStreakActionType(actionType) {
+  return STREAK_ACTION_TYPES.includes(actionType);
+}
+
+/**
+ * Gets a user's current streak for one action type, or their longest current
+ * streak over all tracked action types. A lapsed streak reads as 0, as in
+ * getUserStreaks.
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.actionType] - Tracked action type (default: any)
+ * @param {ClientSession} [options.session] - Transaction to read in
+ * @returns {Promise<number>} - Days in the current streak
+ */
+async function getCurrentStreak(userId, options = {}) {
+  const { actionType, session } = options;
+  const actionTypes = actionType ? [actionType].filter(isStreakActionType) : STREAK_ACTION_TYPES;
+  const streaks = await UserStreak.find({ userId, actionType: { $in: actionTypes } }).session(session || null);
+  const today = toStreakDay(new Date());
+
+  return streaks
+    .filter(streak => isAlive(streak.lastActiveOn, today))
+    .reduce((longest, streak) => Math.max(longest, streak.currentStreak), 0);
+}
+
+module.exports = {
+  recordStreakActivity,
+  getUserStreaks,
+  getCurrentStreak,
+  isStreakActionType
+}; 
\ No newline at end of file
@@ -0,0 +1,346 @@
+const Tier = require('../models/Tier');
+const UserTier = require('../models/UserTier');
+const TierChange = require('../models/TierChange');
+const CreditEvent = require('../models/CreditEvent');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+
+const { DEBIT_ACTION_TYPES, TRANSFER_ACTION_TYPES } = CreditEvent;
+
+// Days of earned credits that count towards a user's tier
+const TIER_WINDOW_DAYS = parseInt(process.env.TIER_WINDOW_DAYS || '365');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a process keeps using its copy of the ladder before reloading it
+const LADDER_CACHE_TTL_MS = 30 * 1000;
+
+// Ladder seeded when no tiers are configured. Once admins replace it, the
+// defaults are not added back.
+const DEFAULT_TIERS = [
+  { key: 'bronze', name: 'Bronze', minCredits: 0, multiplier: 1 },
+  { key: 'silver', name: 'Silver', minCredits: 1000, multiplier: 1.1 },
+  { key: 'gold', name: 'Gold', minCredits: 5000, multiplier: 1.25 }
+];
+
+let ladderCache = null;
+let seedPromise = null;
+
+/**
+ * Inserts the default tiers if none are configured
+ * @returns {Promise<void>}
+ */
+function ensureDefaultTiers() {
+  if (!seedPromise) {
+    seedPromise = Tier.estimatedDocumentCount()
+      .then(count => count === 0 ? Tier.insertMany(DEFAULT_TIERS, { ordered: false }) : null)
+      .catch(error => {
+        // Another instance seeded the ladder first
+        if (error.code === 11000) {
+          return null;
+        }
+        seedPromise = null;
+        throw error;
+      });
+  }
+  return seedPromise;
+}
+
+/**
+ * Loads the tier ladder, using the in-process cache while it is fresh
+ * @returns {Promise<Array>} - Tiers sorted by minCredits, lowest first
+ */
+async function loadLadder() {
+  if (ladderCache && Date.now() - ladderCache.loadedAt < LADDER_CACHE_TTL_MS) {
+    return ladderCache.tiers;
+  }
+
+  await ensureDefaultTiers();
+  const tiers = await Tier.find().sort({ minCredits: 1 }).lean();
+
+  ladderCache = {
+    loadedAt: Date.now(),
+    tiers
+  };
+
+  return tiers;
+}
+
+/**
+ * Lists the configured tiers
+ * @returns {Promise<Array>} - Tiers sorted by minCredits, lowest first
+ */
+async function listTiers() {
+  try {
+    return await loadLadder();
+  } catch (error) {
+    console.error('Error listing tiers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replaces the whole tier ladder. Tier lookups reflect it straight away; users
+ * are moved to their new tier, and the change logged, on their next award.
+ * @param {Array<Object>} tiers - Tiers with key, name, minCredits and multiplier
+ * @returns {Promise<Array>} - New ladder, lowest tier first
+ */
+async function replaceTiers(tiers) {
+  try {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      throw createHttpError(400, 'tiers must be a non-empty array');
+    }
+
+    const keys = tiers.map(tier => tier && tier.key);
+    const thresholds = tiers.map(tier => tier && tier.minCredits);
+
+    if (new Set(keys).size !== keys.length) {
+      throw createHttpError(400, 'Tier keys must be unique');
+    }
+    if (new Set(thresholds).size !== thresholds.length) {
+      throw createHttpError(400, 'Tier minCredits must be unique');
+    }
+    if (!thresholds.includes(0)) {
+      throw createHttpError(400, 'One tier must start at 0 minCredits so every user has a tier');
+    }
+
+    const documents = tiers.map(({ key, name, minCredits, multiplier }) => new Tier({ key, name, minCredits, multiplier }));
+    const invalid = documents.map(document => document.validateSync()).find(Boolean);
+
+    if (invalid) {
+      throw invalid;
+    }
+
+    await runInTransaction(async (session) => {
+      await Tier.deleteMany({}, { session });
+      await Tier.insertMany(documents, { session });
+    });
+
+    ladderCache = null;
+    return await loadLadder();
+  } catch (error) {
+    console.error('Error replacing tiers:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Finds the highest tier a credit total reaches
+ * @param {Array} ladder - Tiers sorted by minCredits, lowest first
+ * @param {number} windowCredits - Credits earned in the window
+ * @returns {Object} - Tier record
+ */
+function resolveTier(ladder, windowCredits) {
+  return ladder.reduce((reached, tier) => (windowCredits >= tier.minCredits ? tier : reached), ladder[0]);
+}
+
+/**
+ * Sums the credits a user earned in the tier window. Redemptions do not lower
+ * the total, reversed awards do, and credits received from other users do not count.
+ * @param {string} userId - User ID
+ * @param {Date} since - Window start
+ * @param {Object} [options] - Read options
+ * @param {ClientSession} [options.session] - Transaction to read in
+ * @returns {Promise<number>}
+ */
+async function sumWindowCredits(userId, since, options = {}) {
+  const [result] = await CreditEvent.aggregate([
+    { $match: { userId, actionType: { $nin: [...DEBIT_ACTION_TYPES, ...TRANSFER_ACTION_TYPES] }, timestamp: { $gte: since } } },
+    { $group: { _id: null, credits: { $sum: '$creditsAwarded' } } }
+  ]).session(options.session || null);
+
+  return result ? result.credits : 0;
+}
+
+/**
+ * Stores the tier a user holds, logging a TierChange when it moved. Only the
+ * evaluation that actually moves the user logs the change.
+ * @param {string} userId - User ID
+ * @param {string|null} fromKey - Tier the user held, null if never evaluated
+ * @param {Object} tier - Tier the user holds now
+ * @param {number} windowCredits - Credits earned in the window
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction to write in
+ * @param {ObjectId} [options.eventId] - Event that brought the credits
+ * @param {Array} [options.ladder] - Ladder the tier was resolved from
+ * @returns {Promise<Object|null>} - Logged tier change, if any
+ */
+async function saveUserTier(userId, fromKey, tier, windowCredits, options = {}) {
+  const { session, eventId = null, ladder = [] } = options;
+  const now = new Date();
+
+  if (fromKey === tier.key) {
+    await UserTier.updateOne({ userId }, { $set: { windowCredits, evaluatedAt: now } }, { session });
+    return null;
+  }
+
+  const result = fromKey
+    ? await UserTier.updateOne(
+      { userId, tierKey: fromKey },
+      { $set: { tierKey: tier.key, windowCredits, since: now, evaluatedAt: now } },
+      { session }
+    )
+    : await UserTier.updateOne(
+      { userId },
+      { $setOnInsert: { tierKey: tier.key, windowCredits, since: now, evaluatedAt: now } },
+      { upsert: true, session }
+    );
+  const moved = fromKey ? result.modifiedCount === 1 : result.upsertedCount === 1;
+
+  // New users starting on the lowest tier have not changed tier
+  if (!moved || (!fromKey && tier.minCredits <= 0)) {
+    return null;
+  }
+
+  const fromTier = ladder.find(candidate => candidate.key === fromKey);
+  const [change] = await TierChange.create([{
+    userId,
+    fromTier: fromKey,
+    toTier: tier.key,
+    direction: !fromTier || tier.minCredits > fromTier.minCredits ? 'upgrade' : 'downgrade',
+    windowCredits,
+    eventId
+  }], { session });
+
+  return change;
+}
+
+/**
+ * Works out the tier a user's window credits reach, without storing it
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Read options
+ * @param {ClientSession} [options.session] - Transaction to read in
+ * @returns {Promise<Object>} - { ladder, tier, windowCredits, userTier }; userTier is the stored
+ *   tier record, null if the user was never evaluated
+ */
+async function measureUserTier(userId, options = {}) {
+  const { session } = options;
+  const ladder = await loadLadder();
+  const windowStart = new Date(Date.now() - TIER_WINDOW_DAYS * DAY_MS);
+
+  // Sequential: reads in a transaction cannot run in parallel on its session
+  const windowCredits = await sumWindowCredits(userId, windowStart, { session });
+  const userTier = await UserTier.findOne({ userId }).session(session || null);
+
+  return {
+    ladder,
+    tier: resolveTier(ladder, windowCredits),
+    windowCredits,
+    userTier
+  };
+}
+
+/**
+ * Re-evaluates a user's tier from the credits they earned in the window and
+ * stores it, logging a TierChange when it moved
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction to read and write in
+ * @returns {Promise<Object>} - { ladder, tier, windowCredits, since, change }
+ */
+async function evaluateUserTier(userId, options = {}) {
+  const { session } = options;
+  const { ladder, tier, windowCredits, userTier } = await measureUserTier(userId, { session });
+  const change = await saveUserTier(userId, userTier ? userTier.tierKey : null, tier, windowCredits, { session, ladder });
+
+  return {
+    ladder,
+    tier,
+    windowCredits,
+    since: change || !userTier ? new Date() : userTier.since,
+    change
+  };
+}
+
+/**
+ * Moves a user up the ladder after an award, from a status evaluated earlier
+ * in the same transaction, without summing the window again
+ * @param {string} userId - User ID
+ * @param {Object} status - Result of evaluateUserTier
+ * @param {number} credits - Credits just awarded
+ * @param {Object} [options] - Options
+ * @param {ClientSession} [options.session] - Transaction the award is written in
+ * @param {ObjectId} [options.eventId] - Awarded event
+ * @returns {Promise<Object|null>} - Logged tier change, if any
+ */
+async function applyTierCredits(userId, status, credits, options = {}) {
+  const windowCredits = status.windowCredits + credits;
+  const tier = resolveTier(status.ladder, windowCredits);
+
+  return saveUserTier(userId, status.tier.key, tier, windowCredits, { ...options, ladder: status.ladder });
+}
+
+/**
+ * Gets a user's tier and their progress towards the next one. Read-only: the
+ * tier reflects the current window, but a move is only stored and logged
+ * when the user next earns credits.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Tier, window credits and progress to the next tier
+ */
+async function getUserTierStatus(userId) {
+  try {
+    const { ladder, tier, windowCredits, userTier } = await measureUserTier(userId);
+    // Null until the tier the window reaches has been recorded
+    const since = userTier && userTier.tierKey === tier.key ? userTier.since : null;
+    const next = ladder.find(candidate => candidate.minCredits > tier.minCredits) || null;
+
+    return {
+      tier: { key: tier.key, name: tier.name, minCredits: tier.minCredits, multiplier: tier.multiplier },
+      since,
+      windowCredits,
+      windowDays: TIER_WINDOW_DAYS,
+      next: next ? { key: next.key, name: next.name, minCredits: next.minCredits, multiplier: next.multiplier } : null,
+      creditsToNext: next ? next.minCredits - windowCredits : null,
+      // Share of the way from the current tier's threshold to the next one
+      progress: next
+        ? Math.round(Math.max(0, windowCredits - tier.minCredits) / (next.minCredits - tier.minCredits) * 100) / 100
+        : 1
+    };
+  } catch (error) {
+    console.error('Error getting user tier:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lists a user's tier changes, newest first
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.limit] - Limit number of results (default: 50, max: 100)
+ * @param {number} [options.skip] - Skip number of results (default: 0)
+ * @returns {Promise<Object>} - Tier changes and pagination
+ */
+async function getTierHistory(userId, options = {}) {
+  try {
+    const { limit = 50, skip = 0 } = options;
+
+    const [changes, totalCount] = await Promise.all([
+      TierChange.find({ userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Math.min(limit, 100)),
+      TierChange.countDocuments({ userId })
+    ]);
+
+    return {
+      changes,
+      pagination: {
+        totalCount,
+        limit,
+        skip,
+        hasMore: (skip + changes.length) < totalCount
+      }
+    };
+  } catch (error) {
+    console.error('Error getting tier history:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  listTiers,
+  replaceTiers,
+  evaluateUserTier,
+  applyTierCredits,
+  getUserTierStatus,
+  getTierHistory
+}; 
\ No newline at end of file
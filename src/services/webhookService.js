@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { createHttpError, toHttpValidationError } = require('../utils/errors');
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... capped below
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_LOCK_MS = 60 * 1000;
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 20;
+
+const EDITABLE_FIELDS = ['url', 'eventTypes', 'description', 'active'];
+
+/**
+ * Signs a webhook body. Receivers recompute HMAC-SHA256(secret, `${t}.${body}`)
+ * and compare it with v1 from the X-Credit-Engine-Signature header.
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix timestamp (seconds) of the attempt
+ * @returns {string} - Signature header value
+ */
+function signPayload(secret, body, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Creates a webhook subscription
+ * @param {Object} data - Subscription data
+ * @param {string} data.url - URL the events are POSTed to
+ * @param {Array<string>} data.eventTypes - Event types to receive
+ * @param {string} [data.description] - Optional description
+ * @returns {Promise<Object>} - Created subscription and its signing secret (only returned here)
+ */
+async function createSubscription(data) {
+  try {
+    const { url, eventTypes } = data;
+
+    if (!url || !Array.isArray(eventTypes)) {
+      throw createHttpError(400, 'url and an eventTypes array are required', {
+        validEventTypes: WebhookSubscription.EVENT_TYPES
+      });
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const subscription = await WebhookSubscription.create({
+      ...pickEditableFields(data),
+      eventTypes: [...new Set(eventTypes)],
+      secret
+    });
+
+    subscription.secret = undefined;
+    return { subscription, secret };
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Lists webhook subscriptions (without secrets)
+ * @returns {Promise<Array>} - Subscriptions
+ */
+async function listSubscriptions() {
+  try {
+    return await WebhookSubscription.find().sort({ createdAt: -1 });
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Updates a webhook subscription
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} updates - Fields to change (url, eventTypes, description, active)
+ * @returns {Promise<Object>} - Updated subscription
+ */
+async function updateSubscription(subscriptionId, updates) {
+  try {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+
+    if (!subscription) {
+      throw createHttpError(404, `Webhook subscription ${subscriptionId} not found`);
+    }
+
+    subscription.set(pickEditableFields(updates));
+    await subscription.save();
+
+    return subscription;
+  } catch (error) {
+    console.error('Error updating webhook subscription:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Deletes a webhook subscription. Its pending deliveries fail on their next attempt.
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+async function deleteSubscription(subscriptionId) {
+  try {
+    const result = await WebhookSubscription.deleteOne({ _id: subscriptionId });
+
+    if (result.deletedCount === 0) {
+      throw createHttpError(404, `Webhook subscription ${subscriptionId} not found`);
+    }
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Shapes a credit event for webhook payloads
+ * @param {Object} event - Credit event document
+ * @returns {Object} - Event fields sent to subscribers
+ */
+function toWebhookData(event) {
+  return {
+    eventId: event._id,
+    userId: event.userId,
+    actionType: event.actionType,
+    creditsAwarded: event.creditsAwarded,
+    referrerId: event.referrerId,
+    referrerBonus: event.referrerBonus,
+    referralBonusEventId: event.referralBonusEventId,
+    sourceEventId: event.sourceEventId,
+    referralLevel: event.referralLevel,
+    campaignId: event.campaignId,
+    reversalOf: event.reversalOf,
+    timestamp: event.timestamp,
+    metadata: event.metadata
+  };
+}
+
+/**
+ * Queues a ledger event for every active subscription listening to its type
+ * and makes a first delivery attempt in the background. Never throws, a
+ * webhook problem must not fail the ledger write that triggered it.
+ * @param {string} eventType - One of WebhookSubscription.EVENT_TYPES
+ * @param {Object} data - Event data sent as payload.data
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+async function publishLedgerEvent(eventType, data) {
+  try {
+    const subscriptions = await WebhookSubscription.find({ active: true, eventTypes: eventType }).select('_id');
+
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscriptionId: subscription._id,
+      eventType,
+      payload
+    })));
+
+    setImmediate(() => {
+      deliveries.forEach(delivery => {
+        attemptDelivery(delivery._id).catch(error => {
+          console.error('Error delivering webhook:', error);
+        });
+      });
+    });
+
+    return deliveries.length;
+  } catch (error) {
+    console.error('Error publishing ledger event:', error);
+    return 0;
+  }
+}
+
+/**
+ * Claims a due delivery and sends it, scheduling a retry with exponential
+ * backoff if the subscriber does not answer with a 2xx status
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} - Updated delivery, or null if it was not due or already claimed
+ */
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS) } },
+    { new: true }
+  );
+
+  if (!delivery) {
+    return null;
+  }
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  const attempt = { attemptedAt: now, responseStatus: null, error: null, durationMs: 0 };
+
+  if (!subscription || !subscription.active) {
+    attempt.error = 'Subscription deleted or inactive';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'credit-engine-webhooks',
+          'X-Credit-Engine-Event': delivery.eventType,
+          'X-Credit-Engine-Delivery': delivery._id.toString(),
+          'X-Credit-Engine-Signature': signPayload(subscription.secret, body, timestamp)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      attempt.responseStatus = response.status;
+      await response.body?.cancel();
+      if (!response.ok) {
+        attempt.error = `Subscriber responded with ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - now.getTime();
+  }
+
+  const attempts = delivery.attempts + 1;
+  const update = {
+    $set: { attempts, lockedUntil: null, lastError: attempt.error },
+    $push: { attemptLog: attempt }
+  };
+
+  if (!attempt.error) {
+    update.$set.status = 'succeeded';
+    update.$set.deliveredAt = new Date();
+  } else if (!subscription || !subscription.active || attempts >= MAX_ATTEMPTS) {
+    update.$set.status = 'failed';
+  } else {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+    update.$set.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+}
+
+/**
+ * Attempts every delivery whose retry is due
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+async function processDueDeliveries() {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(WORKER_BATCH_SIZE)
+    .select('_id');
+
+  let attempted = 0;
+  for (const delivery of due) {
+    if (await attemptDelivery(delivery._id)) {
+      attempted += 1;
+    }
+  }
+
+  return attempted;
+}
+
+/**
+ * Starts the background worker that retries due webhook deliveries
+ * @returns {Object} - Interval handle
+ */
+function startWebhookWorker() {
+  let running = false;
+
+  const interval = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Webhook worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, WORKER_INTERVAL_MS);
+
+  interval.unref();
+  return interval;
+}
+
+/**
+ * Lists webhook deliveries, newest first
+ * @param {Object} [filters] - Filter options
+ * @param {string} [filters.subscriptionId] - Filter by subscription
+ * @param {string} [filters.status] - Filter by status (pending, succeeded, failed)
+ * @param {string} [filters.eventType] - Filter by event type
+ * @param {number} [filters.limit] - Limit number of results (default: 50, max: 100)
+ * @returns {Promise<Array>} - Deliveries including their attempt log
+ */
+async function listDeliveries(filters = {}) {
+  try {
+    const { subscriptionId, status, eventType, limit = 50 } = filters;
+    const query = {};
+
+    if (subscriptionId) query.subscriptionId = subscriptionId;
+    if (status) query.status = status;
+    if (eventType) query.eventType = eventType;
+
+    return await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, 100));
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Requeues a failed delivery for an immediate attempt
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} - Delivery after the new attempt
+ */
+async function retryDelivery(deliveryId) {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'failed' },
+      { $set: { status: 'pending', nextAttemptAt: new Date(), lockedUntil: null } },
+      { new: true }
+    );
+
+    if (!delivery) {
+      throw createHttpError(404, `Failed webhook delivery ${deliveryId} not found`);
+    }
+
+    return await attemptDelivery(delivery._id) || delivery;
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    throw toHttpValidationError(error);
+  }
+}
+
+/**
+ * Picks the fields admins are allowed to set on a subscription
+ * @param {Object} data - Raw request data
+ * @returns {Object} - Editable fields present in data
+ */
+function pickEditableFields(data) {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+}
+
+module.exports = {
+  signPayload,
+  createSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  toWebhookData,
+  publishLedgerEvent,
+  processDueDeliveries,
+  startWebhookWorker,
+  listDeliveries,
+  retryDelivery
+}; 
\ No newline at end of file
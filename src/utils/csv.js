@@ -0,0 +1,103 @@
+const { createHttpError } = require('./errors');
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Formats a value as a CSV field (RFC 4180 quoting). Objects are written as
+ * JSON and text that a spreadsheet would run as a formula is prefixed with '.
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    text = value.toHexString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string' && FORMULA_PREFIXES.includes(value[0])) {
+    text = `'${value}`;
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a list of values as a CSV line
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line including the trailing CRLF
+ */
+function toCsvRow(values) {
+  return values.map(toCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Parses CSV text (RFC 4180) into rows of string fields. Accepts CRLF or LF
+ * line endings and skips blank lines.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw createHttpError(400, 'Invalid CSV: unterminated quoted field');
+  }
+
+  endRow();
+
+  return rows;
+}
+
+module.exports = {
+  toCsvField,
+  toCsvRow,
+  parseCsv
+}; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { createHttpError } = require('./errors');
+
+/**
+ * Encodes the position after an event as an opaque pagination cursor
+ * @param {Object} event - Last event of a page
+ * @returns {string} - base64url cursor
+ */
+function encodeEventCursor(event) {
+  return Buffer.from(JSON.stringify({
+    t: event.timestamp.toISOString(),
+    id: event._id.toString()
+  })).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor produced by encodeEventCursor
+ * @param {string} cursor - Cursor from the client
+ * @returns {Object} - Timestamp and id of the last event already returned
+ */
+function decodeEventCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const timestamp = new Date(t);
+
+    if (isNaN(timestamp) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+}
+
+/**
+ * Builds the filter selecting events after a cursor, for results sorted by
+ * { timestamp: -1, _id: -1 }. The _id tie-break keeps pages stable when
+ * several events share a timestamp or new events are inserted meanwhile.
+ * @param {string} cursor - Cursor from the client
+ * @returns {Object} - CreditEvent filter
+ */
+function eventsAfterCursor(cursor) {
+  const { timestamp, id } = decodeEventCursor(cursor);
+
+  return {
+    $or: [
+      { timestamp: { $lt: timestamp } },
+      { timestamp, _id: { $lt: id } }
+    ]
+  };
+}
+
+module.exports = {
+  encodeEventCursor,
+  eventsAfterCursor
+}; 
\ No newline at end of file
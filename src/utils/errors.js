@@ -0,0 +1,38 @@
+/**
+ * Creates an error carrying an HTTP status code so routes (and the global
+ * error handler) can respond with something more specific than a 500
+ * @param {number} status - HTTP status code to respond with
+ * @param {string} message - Client-facing error message
+ * @param {Object} [data] - Extra fields to include in the error response
+ * @returns {Error} - Error with `status` and `data` properties
+ */
+function createHttpError(status, message, data = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.data = data;
+  return error;
+}
+
+/**
+ * Converts mongoose validation and cast errors into 400 errors, leaving other errors untouched
+ * @param {Error} error - Error thrown while querying or saving a document
+ * @returns {Error} - Error to rethrow
+ */
+function toHttpValidationError(error) {
+  if (error.name === 'CastError') {
+    return createHttpError(400, `Invalid ${error.path}: ${error.value}`);
+  }
+
+  if (error.name !== 'ValidationError') {
+    return error;
+  }
+
+  return createHttpError(400, 'Validation failed', {
+    validationErrors: Object.values(error.errors).map(err => err.message)
+  });
+}
+
+module.exports = {
+  createHttpError,
+  toHttpValidationError
+}; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { createHttpError } = require('./errors');
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Validates a client-supplied idempotency key
+ * @param {*} key - Raw key from a header or request body
+ * @returns {string|null} - Idempotency key, or null if none was supplied
+ */
+function parseIdempotencyKey(key) {
+  if (key === undefined || key === null || key === '') {
+    return null;
+  }
+
+  if (typeof key !== 'string' || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throw createHttpError(400, `Idempotency key must be a string of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+
+  return key;
+}
+
+/**
+ * Scopes a client's idempotency key to the API key and endpoint using it, so
+ * one client's keys can neither collide with nor reveal another client's
+ * @param {string|null} key - Validated client idempotency key
+ * @param {string} apiKeyId - API key sending the request
+ * @param {string} endpoint - Endpoint family, e.g. credits, enroll, redeem or transfer
+ * @returns {string|null} - Key as stored on the credit event, or null if none was supplied
+ */
+function scopeIdempotencyKey(key, apiKeyId, endpoint) {
+  return key ? `${apiKeyId}:${endpoint}:${key}` : null;
+}
+
+/**
+ * Recovers the key a client sent from a stored, scoped idempotency key
+ * @param {string} storedKey - Key as stored on the credit event
+ * @returns {string} - Client idempotency key
+ */
+function toClientIdempotencyKey(storedKey) {
+  const [, , ...key] = storedKey.split(':');
+  return key.join(':');
+}
+
+/**
+ * Reads the idempotency key for a request, from the Idempotency-Key header
+ * or an externalId field in the body, scoped to the request's API key
+ * @param {Object} req - Express request
+ * @param {string} endpoint - Endpoint family the key belongs to
+ * @returns {string|null} - Scoped idempotency key, or null if none was supplied
+ */
+function getIdempotencyKey(req, endpoint) {
+  const key = parseIdempotencyKey(req.get('Idempotency-Key') || (req.body && req.body.externalId));
+  return scopeIdempotencyKey(key, req.apiKey.keyId, endpoint);
+}
+
+/**
+ * Serialises a value to JSON with object keys sorted, so equal payloads
+ * always produce the same string
+ * @param {*} value - Value to serialise
+ * @returns {string} - Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hashes a request payload so retries can be told apart from conflicting
+ * requests that reuse the same idempotency key
+ * @param {Object} payload - Client-supplied request payload
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRequestPayload(payload) {
+  return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+}
+
+module.exports = {
+  parseIdempotencyKey,
+  scopeIdempotencyKey,
+  toClientIdempotencyKey,
+  getIdempotencyKey,
+  hashRequestPayload
+}; 
\ No newline at end of file
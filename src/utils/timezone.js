@@ -0,0 +1,149 @@
+const { createHttpError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+/**
+ * Gets a cached formatter printing wall-clock time in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Validates an IANA time zone name
+ * @param {string} timeZone - Time zone name, e.g. Europe/Berlin
+ * @returns {string} - The time zone name
+ */
+function assertTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return timeZone;
+  } catch (error) {
+    throw createHttpError(400, `Invalid timezone: ${timeZone}`);
+  }
+}
+
+/**
+ * Reads the wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - year, month (1-12), day, hour, minute, second and weekday (0 = Sunday)
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Converts a wall-clock time in a time zone to an instant. Out of range
+ * fields roll over (day 32 is the next month). Times skipped by a DST change
+ * resolve to the instant after the gap.
+ * @param {Object} parts - year, month (1-12), day and hour
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date}
+ */
+function fromZonedParts(parts, timeZone) {
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0);
+  const offsetAt = (instant) => {
+    const zoned = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second)
+      - (instant - instant % 1000);
+  };
+
+  // The offset at the first guess can differ from the offset at the answer near DST changes
+  const first = wallTime - offsetAt(wallTime);
+  const second = wallTime - offsetAt(first);
+
+  if (first === second || wallTime - offsetAt(second) === second) {
+    return new Date(second);
+  }
+
+  // Neither offset maps back to the wall time, so it falls in a DST gap
+  return new Date(Math.max(first, second));
+}
+
+/**
+ * Gets the start of the hour, day, week (Monday) or month containing an
+ * instant, in a time zone. Matches MongoDB's $dateTrunc with startOfWeek monday.
+ * @param {Date} date - Instant
+ * @param {string} unit - hour, day, week or month
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date}
+ */
+function startOfBucket(date, unit, timeZone) {
+  if (unit === 'hour') {
+    const { minute, second } = getZonedParts(date, timeZone);
+    return new Date(date.getTime() - date.getTime() % 1000 - (minute * 60 + second) * 1000);
+  }
+
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+
+  if (unit === 'week') {
+    return fromZonedParts({ year, month, day: day - (weekday + 6) % 7 }, timeZone);
+  }
+  if (unit === 'month') {
+    return fromZonedParts({ year, month, day: 1 }, timeZone);
+  }
+  return fromZonedParts({ year, month, day }, timeZone);
+}
+
+/**
+ * Gets the start of the bucket following the one starting at an instant
+ * @param {Date} bucketStart - Start of a bucket, as returned by startOfBucket
+ * @param {string} unit - hour, day, week or month
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date}
+ */
+function nextBucket(bucketStart, unit, timeZone) {
+  if (unit === 'hour') {
+    return new Date(bucketStart.getTime() + HOUR_MS);
+  }
+
+  const { year, month, day } = getZonedParts(bucketStart, timeZone);
+
+  if (unit === 'week') {
+    return fromZonedParts({ year, month, day: day + 7 }, timeZone);
+  }
+  if (unit === 'month') {
+    return fromZonedParts({ year, month: month + 1, day: 1 }, timeZone);
+  }
+  return fromZonedParts({ year, month, day: day + 1 }, timeZone);
+}
+
+module.exports = {
+  assertTimeZone,
+  getZonedParts,
+  fromZonedParts,
+  startOfBucket,
+  nextBucket
+}; 
\ No newline at end of file
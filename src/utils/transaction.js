@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * Runs a function inside a MongoDB transaction. The driver retries the whole
+ * function on transient errors, so it must not have side effects outside the
+ * database. Transactions require a replica set (MongoDB Atlas always is one).
+ * @param {Function} fn - Async function receiving the session to pass to every read and write
+ * @returns {Promise<*>} - Result of fn once the transaction has committed
+ */
+async function runInTransaction(fn) {
+  let result;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+
+  return result;
+}
+
+module.exports = {
+  runInTransaction
+}; 
\ No newline at end of file
@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AwardUsage = require('../src/models/AwardUsage');
+const { applyAwardCaps, releaseAwardCaps } = require('../src/services/awardCapService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const coffeeWall = {
+  key: 'coffee_wall',
+  caps: { perUserPerDay: 30, perUserPerWeek: null, globalPerDay: null, globalTotal: 100 }
+};
+
+/**
+ * Replaces AwardUsage's database calls with an in-memory store of counters
+ * @returns {Map} - Counters keyed by window key, as { credits, expiresAt }
+ */
+function mockUsage() {
+  const counters = new Map();
+
+  mock.method(AwardUsage, 'find', ({ key }) => {
+    const records = key.$in.filter(k => counters.has(k)).map(k => ({ key: k, ...counters.get(k) }));
+    return { session: () => ({ lean: async () => records }) };
+  });
+
+  mock.method(AwardUsage, 'bulkWrite', async (operations) => {
+    for (const { updateOne: { filter, update, upsert } } of operations) {
+      const counter = counters.get(filter.key);
+
+      if (Array.isArray(update)) {
+        // Release: credits = max(0, credits - released)
+        const released = update[0].$set.credits.$max[1].$subtract[1];
+        if (counter) counter.credits = Math.max(0, counter.credits - released);
+      } else if (counter) {
+        counter.credits += update.$inc.credits;
+      } else if (upsert) {
+        counters.set(filter.key, { credits: update.$inc.credits, ...update.$setOnInsert });
+      }
+    }
+  });
+
+  return counters;
+}
+
+describe('awardCapService', () => {
+  let counters;
+
+  beforeEach(() => {
+    counters = mockUsage();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('applyAwardCaps', () => {
+    it('grants awards in full while headroom is left and records the usage', async () => {
+      const [caps] = await applyAwardCaps([{ userId: 'user123', actionType: coffeeWall, credits: 10, timestamp: new Date() }]);
+
+      assert.equal(caps.credits, 10);
+      assert.equal(caps.capped, false);
+      assert.equal(caps.headroom.perUserPerDay.remaining, 20);
+      assert.equal(caps.headroom.globalTotal.remaining, 90);
+      assert.equal(counters.get('action:coffee_wall:total').credits, 10);
+    });
+
+    it('reduces an award to the headroom left, earlier awards in a batch first', async () => {
+      const now = new Date();
+      const results = await applyAwardCaps([
+        { userId: 'user123', actionType: coffeeWall, credits: 25, timestamp: now },
+        { userId: 'user123', actionType: coffeeWall, credits: 25, timestamp: now },
+        { userId: 'user123', actionType: coffeeWall, credits: 25, timestamp: now }
+      ]);
+
+      assert.deepEqual(results.map(result => result.credits), [25, 5, 0]);
+      assert.deepEqual(results[1].limitedBy, ['perUserPerDay']);
+      assert.equal(results[2].capped, true);
+    });
+
+    it('does not record usage on a dry run', async () => {
+      await applyAwardCaps([{ userId: 'user123', actionType: coffeeWall, credits: 10, timestamp: new Date() }], { dryRun: true });
+
+      assert.equal(counters.size, 0);
+    });
+
+    it('only applies lifetime budgets to awards dated in windows that have closed', async () => {
+      const lastWeek = new Date(Date.now() - 7 * DAY_MS);
+      const [caps] = await applyAwardCaps([{ userId: 'user123', actionType: coffeeWall, credits: 50, timestamp: lastWeek }]);
+
+      assert.equal(caps.credits, 50);
+      assert.deepEqual(Object.keys(caps.headroom), ['globalTotal']);
+      assert.deepEqual([...counters.keys()], ['action:coffee_wall:total']);
+    });
+  });
+
+  describe('releaseAwardCaps', () => {
+    it('gives the credits of a reversed award back to its windows', async () => {
+      const award = { userId: 'user123', actionType: coffeeWall, credits: 30, timestamp: new Date() };
+
+      await applyAwardCaps([award]);
+      await releaseAwardCaps([award]);
+      const [caps] = await applyAwardCaps([{ ...award, credits: 30 }]);
+
+      assert.equal(caps.credits, 30);
+      assert.equal(caps.capped, false);
+    });
+
+    it('never takes a counter below 0', async () => {
+      const award = { userId: 'user123', actionType: coffeeWall, credits: 10, timestamp: new Date() };
+
+      await applyAwardCaps([award]);
+      await releaseAwardCaps([{ ...award, credits: 25 }]);
+
+      assert.equal(counters.get('action:coffee_wall:total').credits, 0);
+    });
+
+    it('leaves closed windows alone', async () => {
+      const lastWeek = new Date(Date.now() - 7 * DAY_MS);
+
+      await releaseAwardCaps([{ userId: 'user123', actionType: coffeeWall, credits: 10, timestamp: lastWeek }]);
+      const released = AwardUsage.bulkWrite.mock.calls[0].arguments[0].map(operation => operation.updateOne.filter.key);
+
+      assert.deepEqual(released, ['action:coffee_wall:total']);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/Campaign');
+const CreditEvent = require('../src/models/CreditEvent');
+const { getCampaignReport } = require('../src/services/campaignService');
+const { reverseCreditEvent } = require('../src/services/ledgerService');
+const { useMemoryDb, allModels } = require('./helpers/memoryDb');
+
+/**
+ * Builds a social_post award boosted by a campaign
+ * @param {ObjectId} campaignId - Campaign that boosted the award
+ * @param {string} userId - User awarded
+ * @param {number} campaignCredits - Extra credits the campaign gave
+ * @returns {Object}
+ */
+function boostedAward(campaignId, userId, campaignCredits) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    actionType: 'social_post',
+    creditsAwarded: 25 + campaignCredits,
+    awardBreakdown: { base: 25, campaign: { campaignId, credits: campaignCredits } },
+    campaignId,
+    timestamp: new Date()
+  };
+}
+
+describe('campaignService', () => {
+  let db;
+  let campaign;
+
+  beforeEach(async () => {
+    mock.method(console, 'error', () => {});
+    db = useMemoryDb(allModels());
+
+    [campaign] = await db.insert(Campaign, [{
+      name: 'Double posts',
+      actionTypes: ['social_post'],
+      startsAt: new Date(Date.now() - 60 * 60 * 1000),
+      endsAt: new Date(Date.now() + 60 * 60 * 1000),
+      multiplier: 2
+    }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('getCampaignReport', () => {
+    it('totals the awards a campaign boosted', async () => {
+      await db.insert(CreditEvent, [
+        boostedAward(campaign._id, 'user1', 25),
+        boostedAward(campaign._id, 'user2', 25)
+      ]);
+
+      const { performance, byActionType } = await getCampaignReport(campaign._id.toString());
+
+      assert.equal(performance.boostedEvents, 2);
+      assert.equal(performance.uniqueUsers, 2);
+      assert.equal(performance.totalCredits, 100);
+      assert.equal(performance.campaignCredits, 50);
+      assert.equal(performance.reversedEvents, 0);
+      assert.deepEqual(byActionType.social_post, { boostedEvents: 2, totalCredits: 100, campaignCredits: 50 });
+    });
+
+    it('nets reversed awards out of the totals', async () => {
+      const kept = boostedAward(campaign._id, 'user1', 25);
+      const reversed = boostedAward(campaign._id, 'user2', 25);
+      await db.insert(CreditEvent, [kept, reversed]);
+
+      await reverseCreditEvent(reversed._id.toString(), { reason: 'Duplicate post' });
+      const { performance, byActionType } = await getCampaignReport(campaign._id.toString());
+
+      assert.equal(performance.boostedEvents, 2);
+      assert.equal(performance.totalCredits, 50);
+      assert.equal(performance.campaignCredits, 25);
+      assert.equal(performance.reversedEvents, 1);
+      assert.deepEqual(byActionType.social_post, { boostedEvents: 2, totalCredits: 50, campaignCredits: 25 });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CreditLot = require('../src/models/CreditLot');
+const { getExpiringCredits } = require('../src/services/creditLotService');
+const { redeemCredits, reverseCreditEvent } = require('../src/services/ledgerService');
+const { useMemoryDb, allModels } = require('./helpers/memoryDb');
+const { DAY_MS, earnCredits } = require('./helpers/fixtures');
+
+/**
+ * Reads the credits left in the lot each event opened
+ * @param {Array<Object>} events - Events that opened lots
+ * @returns {Promise<Array<number>>}
+ */
+async function remainingIn(events) {
+  const lots = await Promise.all(events.map(event => CreditLot.findOne({ sourceEventId: event._id }).lean()));
+  return lots.map(lot => lot.remaining);
+}
+
+describe('creditLotService', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    useMemoryDb(allModels());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('applyEventsToLots', () => {
+    it('opens a lot per award that expires after the action type\'s expiry period', async () => {
+      const event = await earnCredits('alice', 100, 10);
+      const lot = await CreditLot.findOne({ sourceEventId: event._id }).lean();
+
+      assert.equal(lot.credits, 100);
+      assert.equal(lot.remaining, 100);
+      assert.equal(lot.expiresAt.getTime(), event.timestamp.getTime() + 365 * DAY_MS);
+    });
+
+    it('spends the oldest credits first', async () => {
+      const newer = await earnCredits('alice', 50, 10);
+      const older = await earnCredits('alice', 30, 200);
+
+      await redeemCredits({ userId: 'alice', amount: 40 });
+
+      assert.deepEqual(await remainingIn([older, newer]), [0, 40]);
+    });
+
+    it('puts the credits of a reversed redemption back in the lots they came from', async () => {
+      const older = await earnCredits('alice', 30, 200);
+      const newer = await earnCredits('alice', 50, 10);
+
+      const { event } = await redeemCredits({ userId: 'alice', amount: 40 });
+      await redeemCredits({ userId: 'alice', amount: 20 });
+      await reverseCreditEvent(event._id.toString());
+
+      assert.deepEqual(await remainingIn([older, newer]), [30, 30]);
+    });
+
+    it('takes a reversed award out of its own lot before older ones', async () => {
+      const older = await earnCredits('alice', 30, 200);
+      const newer = await earnCredits('alice', 50, 10);
+
+      await reverseCreditEvent(newer._id.toString());
+
+      assert.deepEqual(await remainingIn([older, newer]), [30, 0]);
+    });
+  });
+
+  describe('getExpiringCredits', () => {
+    it('sums the credits expiring within the warning period', async () => {
+      const expiringSoon = await earnCredits('alice', 30, 350);
+      await earnCredits('alice', 50, 10);
+
+      const expiring = await getExpiringCredits('alice');
+
+      assert.equal(expiring.withinDays, 30);
+      assert.equal(expiring.credits, 30);
+      assert.equal(expiring.nextExpiresAt.getTime(), expiringSoon.timestamp.getTime() + 365 * DAY_MS);
+    });
+
+    it('leaves out credits that were already spent', async () => {
+      await earnCredits('alice', 30, 350);
+      await earnCredits('alice', 50, 10);
+
+      await redeemCredits({ userId: 'alice', amount: 20 });
+
+      assert.equal((await getExpiringCredits('alice')).credits, 10);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CreditEvent = require('../src/models/CreditEvent');
+const CreditLot = require('../src/models/CreditLot');
+const { expireCredits } = require('../src/services/expiryService');
+const { redeemCredits } = require('../src/services/ledgerService');
+const { getUserBalance } = require('../src/services/balanceService');
+const { useMemoryDb, allModels } = require('./helpers/memoryDb');
+const { DAY_MS, earnCredits } = require('./helpers/fixtures');
+
+describe('expiryService', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    useMemoryDb(allModels());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('expireCredits', () => {
+    it('expires the credits left in lots past their expiry, dated when the lot expired', async () => {
+      const expired = await earnCredits('alice', 30, 400);
+      await earnCredits('alice', 50, 10);
+      const lot = await CreditLot.findOne({ sourceEventId: expired._id }).lean();
+
+      const result = await expireCredits();
+      const [expiration] = await CreditEvent.find({ actionType: 'expiration' }).lean();
+
+      assert.deepEqual(result, { expiredLots: 1, expiredCredits: 30, failedLots: 0 });
+      assert.equal(expiration.creditsAwarded, -30);
+      assert.equal(expiration.timestamp.getTime(), lot.expiresAt.getTime());
+      assert.equal(String(expiration.sourceEventId), String(expired._id));
+      assert.equal((await getUserBalance('alice')).availableCredits, 50);
+    });
+
+    it('only expires what was not spent, oldest credits being spent first', async () => {
+      await earnCredits('alice', 30, 400);
+      await earnCredits('alice', 50, 10);
+
+      await redeemCredits({ userId: 'alice', amount: 20 });
+      const result = await expireCredits();
+
+      assert.equal(result.expiredCredits, 10);
+      assert.equal((await getUserBalance('alice')).availableCredits, 50);
+    });
+
+    it('expires a lot only once', async () => {
+      await earnCredits('alice', 30, 400);
+
+      await expireCredits();
+      const second = await expireCredits();
+
+      assert.equal(second.expiredLots, 0);
+      assert.equal(await CreditEvent.countDocuments({ actionType: 'expiration' }), 1);
+    });
+
+    it('leaves lots that have not expired by the given time', async () => {
+      await earnCredits('alice', 30, 400);
+
+      const result = await expireCredits({ now: new Date(Date.now() - 60 * DAY_MS) });
+
+      assert.equal(result.expiredLots, 0);
+      assert.equal((await getUserBalance('alice')).availableCredits, 30);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const CreditEvent = require('../../src/models/CreditEvent');
+const { applyEventsToBalances } = require('../../src/services/balanceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gives a user credits earned some days ago, updating their balance and lots
+ * the way recordCreditEvent would. Needs the models backed by useMemoryDb.
+ * @param {string} userId - User earning the credits
+ * @param {number} credits - Credits earned
+ * @param {number} daysAgo - How long ago they were earned
+ * @param {string} [actionType] - Action type of the event (default: enrollment)
+ * @returns {Promise<Object>} - The recorded event
+ */
+async function earnCredits(userId, credits, daysAgo, actionType = 'enrollment') {
+  const [event] = await CreditEvent.insertMany([{
+    userId,
+    actionType,
+    creditsAwarded: credits,
+    timestamp: new Date(Date.now() - daysAgo * DAY_MS)
+  }]);
+  await applyEventsToBalances([event]);
+  return event;
+}
+
+module.exports = {
+  DAY_MS,
+  earnCredits
+};
@@ -0,0 +1,316 @@
+const { mock } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const mingo = require('mingo');
+const castUpdate = require('mongoose/lib/helpers/query/castUpdate');
+
+/**
+ * Copies a stored value, keeping ObjectIds and dates usable
+ * @param {*} value - Value to copy
+ * @returns {*}
+ */
+function clone(value) {
+  // Documents and mongoose arrays passed into queries are stored as plain data
+  if (value && value._bsontype === undefined && typeof value.toObject === 'function') {
+    return clone(value.toObject({ depopulate: true }));
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value && typeof value === 'object' && value._bsontype === undefined && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Stand-in for a mongoose query over an in-memory result: chains the calls
+ * services make and resolves to documents, or to plain objects after lean()
+ */
+class MemoryQuery {
+  constructor(Model, run) {
+    this.Model = Model;
+    this.run = run;
+    this.options = { lean: false, sort: null, skip: 0, limit: null };
+  }
+
+  session() { return this; }
+  select() { return this; }
+  populate() { return this; }
+  lean() { this.options.lean = true; return this; }
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+
+  async exec() {
+    const { lean, sort, skip, limit } = this.options;
+    let result = await this.run();
+
+    if (!Array.isArray(result)) {
+      return result && typeof result === 'object' && !(result instanceof Date) && !lean && result._id
+        ? this.Model.hydrate(clone(result))
+        : clone(result);
+    }
+
+    let cursor = mingo.find(result, {});
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+
+    return cursor.all().map(doc => (lean ? clone(doc) : this.Model.hydrate(clone(doc))));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+
+  cursor() {
+    const query = this;
+    return {
+      async *[Symbol.asyncIterator]() {
+        for (const doc of await query.exec()) {
+          yield doc;
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Replaces the database calls of mongoose models with in-memory collections
+ * queried through mingo, so services can be tested without MongoDB.
+ * Transactions run the callback straight away, without isolation or
+ * rollback. Unique indexes are enforced with the same 11000 error as MongoDB.
+ * Mocks are installed with node:test's mock, so mock.restoreAll() removes them.
+ * @param {Array<Model>} models - Models to back with memory
+ * @returns {Object} - { collection(Model), insert(Model, docs) }
+ */
+function useMemoryDb(models) {
+  const collections = new Map(models.map(Model => [Model.modelName, []]));
+
+  mock.method(mongoose.connection, 'transaction', async (fn) => fn({ inTransaction: () => true }));
+
+  for (const Model of models) {
+    installModel(Model, collections.get(Model.modelName));
+  }
+
+  return {
+    collection: Model => collections.get(Model.modelName),
+    insert: (Model, docs) => Model.insertMany(docs)
+  };
+}
+
+/**
+ * Casts a filter to the model's schema, e.g. string ids to ObjectIds
+ * @param {Model} Model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @returns {Object}
+ */
+function castFilter(Model, filter = {}) {
+  return new mongoose.Query({}, {}, Model, Model.collection).cast(Model, clone(filter));
+}
+
+/**
+ * Mocks one model's statics and save() over an array of plain documents
+ * @param {Model} Model - Mongoose model
+ * @param {Array<Object>} docs - Collection contents
+ * @returns {void}
+ */
+function installModel(Model, docs) {
+  const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options && options.unique);
+
+  const matching = filter => {
+    const query = new mingo.Query(castFilter(Model, filter));
+    return docs.filter(doc => query.test(doc));
+  };
+
+  const assertUnique = (doc) => {
+    for (const [fields, options] of uniqueIndexes) {
+      const keys = Object.keys(fields);
+      if (options.sparse && keys.some(key => mingo.find([doc], { [key]: { $exists: false } }).all().length > 0)) continue;
+      if (options.partialFilterExpression && !new mingo.Query(options.partialFilterExpression).test(doc)) continue;
+
+      const filter = Object.fromEntries(keys.map(key => [key, mingo.aggregate([doc], [{ $project: { value: `$${key}` } }])[0].value ?? null]));
+      const duplicate = docs.find(other => other !== doc && String(other._id) !== String(doc._id) && new mingo.Query(filter).test(other));
+
+      if (duplicate) {
+        const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name}`);
+        error.code = 11000;
+        error.keyPattern = fields;
+        error.keyValue = filter;
+        throw error;
+      }
+    }
+  };
+
+  const insert = (data) => {
+    const doc = new Model(data).toObject({ depopulate: true });
+    assertUnique(doc);
+    docs.push(doc);
+    return doc;
+  };
+
+  // Applies an update to the first match, or inserts the upserted document
+  const updateFirst = (filter, update, options = {}) => {
+    const [doc] = matching(filter);
+
+    if (Array.isArray(update)) {
+      if (!doc) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, doc: null, before: null };
+      const before = clone(doc);
+      mingo.updateOne(docs, { _id: doc._id }, update);
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0, doc: docs.find(other => String(other._id) === String(doc._id)), before };
+    }
+
+    const { $setOnInsert, ...modifier } = castUpdate(Model.schema, clone(update), {}) || {};
+
+    if (!doc) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, doc: null, before: null };
+
+      const seed = Object.fromEntries(Object.entries(castFilter(Model, filter))
+        .filter(([key, value]) => !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof Date || value._bsontype)));
+      const created = { ...seed, ...($setOnInsert || {}) };
+      mingo.update(created, modifier);
+      const inserted = insert(created);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id, doc: inserted, before: null };
+    }
+
+    const before = clone(doc);
+    const modified = Object.keys(modifier).length > 0 ? mingo.update(doc, modifier) : [];
+    try {
+      assertUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+    return { matchedCount: 1, modifiedCount: modified.length > 0 ? 1 : 0, upsertedCount: 0, doc, before };
+  };
+
+  const result = ({ matchedCount, modifiedCount, upsertedCount, upsertedId }) => ({
+    acknowledged: true, matchedCount, modifiedCount, upsertedCount, upsertedId: upsertedId || null
+  });
+
+  mock.method(Model, 'find', (filter = {}) => new MemoryQuery(Model, () => matching(filter)));
+  mock.method(Model, 'findOne', (filter = {}) => {
+    const query = new MemoryQuery(Model, () => {
+      const found = matching(filter);
+      const sorted = query.options.sort ? mingo.find(found, {}).sort(query.options.sort).all() : found;
+      return sorted[0] || null;
+    });
+    return query;
+  });
+  mock.method(Model, 'findById', id => Model.findOne({ _id: id }));
+  mock.method(Model, 'exists', filter => new MemoryQuery(Model, () => {
+    const [doc] = matching(filter);
+    return doc ? { _id: doc._id } : null;
+  }).lean());
+  mock.method(Model, 'countDocuments', (filter = {}) => new MemoryQuery(Model, () => matching(filter).length));
+  mock.method(Model, 'estimatedDocumentCount', async () => docs.length);
+  mock.method(Model, 'distinct', (field, filter = {}) => new MemoryQuery(Model, () => {
+    const values = mingo.aggregate(matching(filter), [{ $group: { _id: `$${field}` } }]).map(entry => entry._id);
+    return values.filter(value => value !== null && value !== undefined);
+  }).lean());
+  mock.method(Model, 'aggregate', (pipeline) => {
+    const aggregate = {
+      session: () => aggregate,
+      allowDiskUse: () => aggregate,
+      option: () => aggregate,
+      exec: async () => mingo.aggregate(clone(docs), clone(pipeline)),
+      then: (resolve, reject) => aggregate.exec().then(resolve, reject),
+      cursor: () => new MemoryQuery(Model, () => aggregate.exec()).lean().cursor()
+    };
+    return aggregate;
+  });
+
+  mock.method(Model, 'insertMany', async (data) => data.map(entry => Model.hydrate(clone(insert(entry)))));
+  mock.method(Model, 'create', async (data) => (Array.isArray(data)
+    ? data.map(entry => Model.hydrate(clone(insert(entry))))
+    : Model.hydrate(clone(insert(data)))));
+
+  mock.method(Model, 'updateOne', async (filter, update, options) => result(updateFirst(filter, update, options)));
+  mock.method(Model, 'updateMany', async (filter, update) => {
+    const ids = matching(filter).map(doc => doc._id);
+    ids.forEach(id => updateFirst({ _id: id }, update));
+    return result({ matchedCount: ids.length, modifiedCount: ids.length, upsertedCount: 0 });
+  });
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => new MemoryQuery(Model, () => {
+    const { doc, before } = updateFirst(filter, update, options);
+    return options.new ? doc : before;
+  }));
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+
+  const remove = (filter, many) => {
+    const removed = many ? matching(filter) : matching(filter).slice(0, 1);
+    removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { acknowledged: true, deletedCount: removed.length };
+  };
+  mock.method(Model, 'deleteOne', async filter => remove(filter, false));
+  mock.method(Model, 'deleteMany', async (filter = {}) => remove(filter, true));
+
+  mock.method(Model, 'bulkWrite', async (operations) => {
+    const totals = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, deletedCount: 0 };
+
+    for (const operation of operations) {
+      if (operation.insertOne) {
+        insert(operation.insertOne.document);
+        totals.insertedCount += 1;
+      } else if (operation.updateOne) {
+        const { filter, update, upsert } = operation.updateOne;
+        const outcome = updateFirst(filter, update, { upsert });
+        totals.matchedCount += outcome.matchedCount;
+        totals.modifiedCount += outcome.modifiedCount;
+        totals.upsertedCount += outcome.upsertedCount;
+      } else if (operation.deleteOne) {
+        totals.deletedCount += remove(operation.deleteOne.filter, false).deletedCount;
+      }
+    }
+
+    return totals;
+  });
+
+  mock.method(Model.prototype, 'save', async function save() {
+    await this.validate();
+    const data = this.toObject({ depopulate: true });
+    const index = docs.findIndex(doc => String(doc._id) === String(data._id));
+
+    if (index === -1) {
+      insert(data);
+    } else {
+      const previous = docs[index];
+      docs[index] = data;
+      try {
+        assertUnique(data);
+      } catch (error) {
+        docs[index] = previous;
+        throw error;
+      }
+    }
+
+    this.isNew = false;
+    return this;
+  });
+}
+
+/**
+ * Loads every model in src/models, for tests that run whole ledger operations
+ * @returns {Array<Model>}
+ */
+function allModels() {
+  const modelsDir = path.join(__dirname, '../../src/models');
+  return fs.readdirSync(modelsDir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => require(path.join(modelsDir, file)));
+}
+
+module.exports = {
+  useMemoryDb,
+  allModels
+};
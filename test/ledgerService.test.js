@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BalanceLock = require('../src/models/BalanceLock');
+const CreditEvent = require('../src/models/CreditEvent');
+const CreditLot = require('../src/models/CreditLot');
+const { redeemCredits, transferCredits } = require('../src/services/ledgerService');
+const { getUserBalance } = require('../src/services/balanceService');
+const { useMemoryDb, allModels } = require('./helpers/memoryDb');
+const { earnCredits } = require('./helpers/fixtures');
+
+describe('ledgerService', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    useMemoryDb(allModels());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('redeemCredits', () => {
+    it('debits the credits and returns the new balance', async () => {
+      await earnCredits('alice', 100, 1);
+
+      const result = await redeemCredits({ userId: 'alice', amount: 30, reason: 'Coffee voucher' });
+
+      assert.equal(result.event.creditsAwarded, -30);
+      assert.equal(result.event.metadata.reason, 'Coffee voucher');
+      assert.deepEqual(result.balance, { earned: 100, spent: 30, available: 70 });
+    });
+
+    it('refuses to redeem more than the available balance', async () => {
+      await earnCredits('alice', 100, 1);
+
+      await assert.rejects(redeemCredits({ userId: 'alice', amount: 150 }), (error) => {
+        assert.equal(error.status, 409);
+        assert.equal(error.message, 'Insufficient credits');
+        assert.deepEqual(error.data, { availableCredits: 100, requestedCredits: 150 });
+        return true;
+      });
+      assert.equal(await CreditEvent.countDocuments({ actionType: 'redemption' }), 0);
+    });
+
+    it('applies concurrent redemptions one at a time, so they cannot overdraw', async () => {
+      await earnCredits('alice', 100, 1);
+
+      const results = await Promise.allSettled([40, 40, 40].map(amount => redeemCredits({ userId: 'alice', amount })));
+      const rejected = results.filter(result => result.status === 'rejected');
+
+      assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+      assert.equal(rejected.length, 1);
+      assert.equal(rejected[0].reason.message, 'Insufficient credits');
+      assert.equal((await getUserBalance('alice')).availableCredits, 20);
+    });
+
+    it('records concurrent retries with the same idempotency key once', async () => {
+      await earnCredits('alice', 100, 1);
+      const request = { userId: 'alice', amount: 40, idempotencyKey: 'key:redeem:1', requestHash: 'hash' };
+
+      const [first, second] = await Promise.all([redeemCredits(request), redeemCredits(request)]);
+
+      assert.equal(String(first.event._id), String(second.event._id));
+      assert.equal([first, second].filter(result => result.replayed).length, 1);
+      assert.equal(await CreditEvent.countDocuments({ actionType: 'redemption' }), 1);
+    });
+  });
+
+  describe('transferCredits', () => {
+    it('moves credits from the sender to the recipient', async () => {
+      await earnCredits('alice', 100, 1);
+
+      const result = await transferCredits({ fromUserId: 'alice', toUserId: 'bob', amount: 40, note: 'Thanks!' });
+
+      assert.equal(result.balance.available, 60);
+      assert.equal(result.debitEvent.creditsAwarded, -40);
+      assert.equal(result.creditEvent.creditsAwarded, 40);
+      assert.equal(result.creditEvent.metadata.note, 'Thanks!');
+    });
+
+    it('rejects a transfer to the same user', async () => {
+      await earnCredits('alice', 100, 1);
+
+      await assert.rejects(
+        transferCredits({ fromUserId: 'alice', toUserId: 'alice', amount: 10 }),
+        { status: 400, message: 'Credits cannot be transferred to the same user' }
+      );
+      assert.equal(await CreditEvent.countDocuments({ actionType: 'transfer_out' }), 0);
+    });
+
+    it('refuses transfers over the daily limit and reports what is left today', async () => {
+      await earnCredits('alice', 1000, 1);
+      await transferCredits({ fromUserId: 'alice', toUserId: 'bob', amount: 450 });
+
+      await assert.rejects(transferCredits({ fromUserId: 'alice', toUserId: 'carol', amount: 100 }), (error) => {
+        assert.equal(error.status, 409);
+        assert.equal(error.message, 'Daily transfer limit reached');
+        assert.equal(error.data.transferredToday, 450);
+        assert.equal(error.data.remainingToday, 50);
+        return true;
+      });
+
+      const result = await transferCredits({ fromUserId: 'alice', toUserId: 'carol', amount: 50 });
+      assert.equal(result.balance.available, 500);
+    });
+
+    it('gives the recipient lots that expire when the sent credits would have', async () => {
+      const older = await earnCredits('alice', 30, 200);
+      const newer = await earnCredits('alice', 50, 10);
+      const lotOf = async event => CreditLot.findOne({ sourceEventId: event._id }).lean();
+      const [olderExpiry, newerExpiry] = [(await lotOf(older)).expiresAt, (await lotOf(newer)).expiresAt];
+
+      const { creditEvent } = await transferCredits({ fromUserId: 'alice', toUserId: 'bob', amount: 40 });
+      const received = await CreditLot.find({ userId: 'bob', sourceEventId: creditEvent._id }).sort({ expiresAt: 1 }).lean();
+
+      assert.deepEqual(received.map(lot => [lot.remaining, lot.expiresAt.getTime()]), [
+        [30, olderExpiry.getTime()],
+        [10, newerExpiry.getTime()]
+      ]);
+    });
+
+    it('holds the balance locks of both users', async () => {
+      await earnCredits('alice', 100, 1);
+
+      await transferCredits({ fromUserId: 'alice', toUserId: 'bob', amount: 10 });
+      const locked = BalanceLock.findOneAndUpdate.mock.calls.map(call => call.arguments[0].userId);
+
+      assert.deepEqual(locked, ['alice', 'bob']);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CreditEvent = require('../src/models/CreditEvent');
+const { getReferralTree } = require('../src/services/referralService');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+/**
+ * Builds an enrollment event, referred by referrerId when given
+ * @param {string} userId - Enrolling user
+ * @param {string|null} referrerId - Referrer named on the event
+ * @param {string} timestamp - When the event happened
+ * @returns {Object}
+ */
+function enrollment(userId, referrerId, timestamp) {
+  return { userId, actionType: 'enrollment', creditsAwarded: 100, referrerId, timestamp: new Date(timestamp) };
+}
+
+describe('referralService', () => {
+  let db;
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    db = useMemoryDb([CreditEvent]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('getReferralTree', () => {
+    it('lists a user referred by two people only under the first of them', async () => {
+      await db.insert(CreditEvent, [
+        enrollment('alice', null, '2024-01-01'),
+        enrollment('bob', null, '2024-01-01'),
+        enrollment('carol', 'alice', '2024-02-01'),
+        { ...enrollment('carol', 'bob', '2024-03-01'), actionType: 'social_post', creditsAwarded: 25 }
+      ]);
+
+      const aliceTree = await getReferralTree('alice');
+      const bobTree = await getReferralTree('bob');
+      const carolTree = await getReferralTree('carol');
+
+      assert.deepEqual(aliceTree.referrals.map(node => node.userId), ['carol']);
+      assert.equal(aliceTree.referrals[0].referredAt.toISOString(), '2024-02-01T00:00:00.000Z');
+      assert.equal(bobTree.totalReferrals, 0);
+      assert.deepEqual(bobTree.referrals, []);
+      assert.equal(carolTree.referrer.userId, 'alice');
+    });
+
+    it('follows first referrers down the levels of the tree', async () => {
+      await db.insert(CreditEvent, [
+        enrollment('alice', null, '2024-01-01'),
+        enrollment('bob', 'alice', '2024-01-02'),
+        enrollment('carol', 'bob', '2024-01-03'),
+        enrollment('dave', 'carol', '2024-01-04')
+      ]);
+
+      const tree = await getReferralTree('alice', { depth: 2 });
+
+      assert.equal(tree.totalReferrals, 2);
+      assert.equal(tree.directReferrals, 1);
+      assert.deepEqual(tree.referrals[0].referrals.map(node => node.userId), ['carol']);
+      assert.deepEqual(tree.referrals[0].referrals[0].referrals, []);
+    });
+
+    it('rejects a depth outside the allowed range', async () => {
+      await assert.rejects(getReferralTree('alice', { depth: 6 }), { status: 400 });
+    });
+  });
+});
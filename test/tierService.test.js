@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TierChange = require('../src/models/TierChange');
+const { recordCreditEvent, redeemCredits, reverseCreditEvent } = require('../src/services/ledgerService');
+const { getUserTierStatus } = require('../src/services/tierService');
+const { useMemoryDb, allModels } = require('./helpers/memoryDb');
+const { earnCredits } = require('./helpers/fixtures');
+
+/**
+ * Lists a user's tier changes, oldest first, as "from->to (direction)"
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>}
+ */
+async function tierMoves(userId) {
+  const changes = await TierChange.find({ userId }).sort({ createdAt: 1, _id: 1 }).lean();
+  return changes.map(change => `${change.fromTier}->${change.toTier} (${change.direction})`);
+}
+
+describe('tierService', () => {
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    useMemoryDb(allModels());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('tier moves on awards', () => {
+    it('moves a user up when an award takes them past the next threshold', async () => {
+      await earnCredits('alice', 950, 30);
+
+      const { event } = await recordCreditEvent({ userId: 'alice', actionType: 'tech_module' });
+      const [change] = await TierChange.find({ userId: 'alice' }).lean();
+      const status = await getUserTierStatus('alice');
+
+      assert.deepEqual(await tierMoves('alice'), ['bronze->silver (upgrade)']);
+      assert.equal(String(change.eventId), String(event._id));
+      assert.equal(status.tier.key, 'silver');
+      assert.ok(status.since instanceof Date);
+    });
+
+    it('does not log a change for new users starting on the lowest tier', async () => {
+      await recordCreditEvent({ userId: 'alice', actionType: 'social_post' });
+
+      assert.deepEqual(await tierMoves('alice'), []);
+      assert.equal((await getUserTierStatus('alice')).tier.key, 'bronze');
+    });
+
+    it('boosts later awards by the new tier\'s multiplier', async () => {
+      await earnCredits('alice', 1000, 30);
+      await recordCreditEvent({ userId: 'alice', actionType: 'tech_module' });
+
+      const { event } = await recordCreditEvent({ userId: 'alice', actionType: 'social_post' });
+
+      assert.equal(event.creditsAwarded, 27);
+      assert.deepEqual(event.awardBreakdown.tier, { tier: 'silver', multiplier: 1.1, credits: 2 });
+    });
+
+    it('keeps the tier when the user redeems credits', async () => {
+      await earnCredits('alice', 950, 30);
+      await recordCreditEvent({ userId: 'alice', actionType: 'tech_module' });
+
+      await redeemCredits({ userId: 'alice', amount: 900 });
+      await recordCreditEvent({ userId: 'alice', actionType: 'social_post' });
+
+      assert.deepEqual(await tierMoves('alice'), ['bronze->silver (upgrade)']);
+    });
+
+    it('moves a user down on their next award once reversed credits drop them below the threshold', async () => {
+      const large = await earnCredits('alice', 950, 30);
+      await recordCreditEvent({ userId: 'alice', actionType: 'tech_module' });
+
+      await reverseCreditEvent(large._id.toString());
+      const { event } = await recordCreditEvent({ userId: 'alice', actionType: 'social_post' });
+
+      assert.deepEqual(await tierMoves('alice'), ['bronze->silver (upgrade)', 'silver->bronze (downgrade)']);
+      assert.equal(event.awardBreakdown.tier, undefined);
+      assert.equal((await getUserTierStatus('alice')).tier.key, 'bronze');
+    });
+  });
+});
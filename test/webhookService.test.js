@@ -0,0 +1,338 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../src/models/WebhookSubscription');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhookService = require('../src/services/webhookService');
+
+const SECRET = 'whsec_test';
+
+/**
+ * Starts a receiver on a free local port that answers with the queued
+ * statuses (200 once they run out) and records every request
+ * @returns {Promise<Object>} - { url, requests, statuses, nextRequest, close }
+ */
+async function startReceiver() {
+  const requests = [];
+  const statuses = [];
+  let waiting = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { headers: req.headers, body };
+      requests.push(request);
+      res.writeHead(statuses.length > 0 ? statuses.shift() : 200).end();
+      waiting.forEach(resolve => resolve(request));
+      waiting = [];
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+    statuses,
+    nextRequest: () => new Promise(resolve => waiting.push(resolve)),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Wraps a value like a mongoose query, so chained calls resolve to it
+ * @param {*} value - Query result
+ * @returns {Promise} - Thenable with select, sort and limit
+ */
+function query(value) {
+  const result = Promise.resolve(value);
+  result.select = () => result;
+  result.sort = () => result;
+  result.limit = () => result;
+  return result;
+}
+
+/**
+ * Replaces the webhook models' database calls with an in-memory store
+ * @param {Object} subscription - The only subscription, with its secret
+ * @returns {Map} - Deliveries keyed by ID
+ */
+function mockStore(subscription) {
+  const deliveries = new Map();
+
+  const update = (delivery, { $set = {}, $push = {} }) => {
+    Object.assign(delivery, $set);
+    for (const [field, value] of Object.entries($push)) {
+      delivery[field] = [...delivery[field], value];
+    }
+    return { ...delivery };
+  };
+
+  mock.method(WebhookSubscription, 'find', () => query(subscription.active ? [subscription] : []));
+  mock.method(WebhookSubscription, 'findById', () => query(subscription));
+
+  mock.method(WebhookDelivery, 'insertMany', async (documents) => documents.map(document => {
+    const delivery = new WebhookDelivery(document).toObject();
+    deliveries.set(String(delivery._id), delivery);
+    return delivery;
+  }));
+
+  mock.method(WebhookDelivery, 'find', (filter) => query([...deliveries.values()]
+    .filter(delivery => !filter.status || delivery.status === filter.status)
+    .filter(delivery => !filter.nextAttemptAt || delivery.nextAttemptAt <= filter.nextAttemptAt.$lte)
+    .filter(delivery => !filter.subscriptionId || String(delivery.subscriptionId) === String(filter.subscriptionId))
+    .map(delivery => ({ ...delivery }))));
+
+  // Claims a due, unlocked delivery like the real conditional update
+  mock.method(WebhookDelivery, 'findOneAndUpdate', async (filter, changes) => {
+    const delivery = deliveries.get(String(filter._id));
+    const now = filter.nextAttemptAt ? filter.nextAttemptAt.$lte : new Date();
+
+    if (!delivery || delivery.status !== filter.status) {
+      return null;
+    }
+    if (filter.nextAttemptAt && (delivery.nextAttemptAt > now || (delivery.lockedUntil && delivery.lockedUntil > now))) {
+      return null;
+    }
+    return update(delivery, changes);
+  });
+
+  mock.method(WebhookDelivery, 'findByIdAndUpdate', async (deliveryId, changes) => (
+    update(deliveries.get(String(deliveryId)), changes)
+  ));
+
+  return deliveries;
+}
+
+/**
+ * Makes a pending delivery due now, as if its backoff had passed
+ * @param {Map} deliveries - In-memory store
+ * @returns {void}
+ */
+function makeDue(deliveries) {
+  for (const delivery of deliveries.values()) {
+    delivery.nextAttemptAt = new Date(Date.now() - 1000);
+  }
+}
+
+/**
+ * Waits until the first delivery leaves the in-flight state of its attempt
+ * @param {Map} deliveries - In-memory store
+ * @param {number} attempts - Attempts to wait for
+ * @returns {Promise<Object>} - Delivery
+ */
+async function waitForAttempts(deliveries, attempts) {
+  for (let i = 0; i < 200; i++) {
+    const [delivery] = deliveries.values();
+    if (delivery && delivery.attempts >= attempts) {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Delivery did not reach ${attempts} attempts`);
+}
+
+describe('webhookService', () => {
+  let receiver;
+  let subscription;
+  let deliveries;
+
+  before(async () => {
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    await receiver.close();
+  });
+
+  beforeEach(() => {
+    receiver.requests.length = 0;
+    receiver.statuses.length = 0;
+    subscription = {
+      _id: new mongoose.Types.ObjectId(),
+      url: receiver.url,
+      eventTypes: ['credit.awarded'],
+      secret: SECRET,
+      active: true
+    };
+    deliveries = mockStore(subscription);
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('signPayload', () => {
+    it('signs the timestamp and body with HMAC-SHA256', () => {
+      const body = JSON.stringify({ id: 'evt_1' });
+      const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+      assert.equal(webhookService.signPayload(SECRET, body, 1700000000), `t=1700000000,v1=${expected}`);
+    });
+
+    it('changes when the body is tampered with', () => {
+      assert.notEqual(
+        webhookService.signPayload(SECRET, '{"credits":10}', 1700000000),
+        webhookService.signPayload(SECRET, '{"credits":1000}', 1700000000)
+      );
+    });
+  });
+
+  describe('publishLedgerEvent', () => {
+    it('POSTs a signed payload the receiver can verify with the subscription secret', async () => {
+      const received = receiver.nextRequest();
+      const queued = await webhookService.publishLedgerEvent('credit.awarded', { userId: 'user123', creditsAwarded: 10 });
+      const request = await received;
+
+      assert.equal(queued, 1);
+      assert.equal(request.headers['x-credit-engine-event'], 'credit.awarded');
+      assert.equal(request.headers['content-type'], 'application/json');
+
+      const { t, v1 } = Object.fromEntries(request.headers['x-credit-engine-signature'].split(',').map(part => part.split('=')));
+      const expected = crypto.createHmac('sha256', SECRET).update(`${t}.${request.body}`).digest('hex');
+      assert.ok(crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected)));
+
+      const payload = JSON.parse(request.body);
+      assert.equal(payload.type, 'credit.awarded');
+      assert.deepEqual(payload.data, { userId: 'user123', creditsAwarded: 10 });
+
+      const [delivery] = deliveries.values();
+      assert.equal(request.headers['x-credit-engine-delivery'], String(delivery._id));
+    });
+
+    it('queues nothing when no active subscription listens', async () => {
+      subscription.active = false;
+
+      assert.equal(await webhookService.publishLedgerEvent('credit.awarded', {}), 0);
+      assert.equal(deliveries.size, 0);
+    });
+  });
+
+  describe('retries', () => {
+    it('backs off exponentially after failed attempts and succeeds on retry', async () => {
+      receiver.statuses.push(500, 503);
+
+      await webhookService.publishLedgerEvent('credit.awarded', { userId: 'user123' });
+      let delivery = await waitForAttempts(deliveries, 1);
+      let delay = delivery.nextAttemptAt.getTime() - delivery.attemptLog[0].attemptedAt.getTime();
+
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.lastError, 'Subscriber responded with 500');
+      assert.ok(delay >= 30 * 1000 && delay < 31 * 1000, `first retry after ${delay}ms`);
+
+      // Not due yet, so the worker leaves it alone
+      assert.equal(await webhookService.processDueDeliveries(), 0);
+
+      makeDue(deliveries);
+      assert.equal(await webhookService.processDueDeliveries(), 1);
+      delivery = deliveries.get(String(delivery._id));
+      delay = delivery.nextAttemptAt.getTime() - delivery.attemptLog[1].attemptedAt.getTime();
+
+      assert.equal(delivery.attempts, 2);
+      assert.ok(delay >= 60 * 1000 && delay < 61 * 1000, `second retry after ${delay}ms`);
+
+      makeDue(deliveries);
+      await webhookService.processDueDeliveries();
+      delivery = deliveries.get(String(delivery._id));
+
+      assert.equal(delivery.status, 'succeeded');
+      assert.equal(delivery.attempts, 3);
+      assert.equal(delivery.lastError, null);
+      assert.ok(delivery.deliveredAt instanceof Date);
+      assert.equal(receiver.requests.length, 3);
+
+      // Every attempt sends the same payload, so receivers can deduplicate on its id
+      assert.equal(new Set(receiver.requests.map(request => JSON.parse(request.body).id)).size, 1);
+    });
+
+    it('gives up after the last attempt', async () => {
+      receiver.statuses.push(...Array(8).fill(500));
+
+      await webhookService.publishLedgerEvent('credit.awarded', { userId: 'user123' });
+      await waitForAttempts(deliveries, 1);
+      for (let attempt = 2; attempt <= 8; attempt++) {
+        makeDue(deliveries);
+        await webhookService.processDueDeliveries();
+      }
+
+      const [delivery] = deliveries.values();
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts, 8);
+
+      makeDue(deliveries);
+      assert.equal(await webhookService.processDueDeliveries(), 0);
+      assert.equal(receiver.requests.length, 8);
+    });
+
+    it('fails the delivery without sending it once the subscription is deactivated', async () => {
+      receiver.statuses.push(500);
+
+      await webhookService.publishLedgerEvent('credit.awarded', { userId: 'user123' });
+      await waitForAttempts(deliveries, 1);
+      subscription.active = false;
+      makeDue(deliveries);
+      await webhookService.processDueDeliveries();
+
+      const [delivery] = deliveries.values();
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.lastError, 'Subscription deleted or inactive');
+      assert.equal(receiver.requests.length, 1);
+    });
+  });
+
+  describe('delivery log', () => {
+    it('records every attempt with its status, error and duration', async () => {
+      receiver.statuses.push(502);
+
+      await webhookService.publishLedgerEvent('credit.awarded', { userId: 'user123' });
+      await waitForAttempts(deliveries, 1);
+      makeDue(deliveries);
+      await webhookService.processDueDeliveries();
+
+      const [delivery] = await webhookService.listDeliveries({ subscriptionId: subscription._id });
+
+      assert.equal(delivery.eventType, 'credit.awarded');
+      assert.deepEqual(delivery.attemptLog.map(attempt => [attempt.responseStatus, attempt.error]), [
+        [502, 'Subscriber responded with 502'],
+        [200, null]
+      ]);
+      assert.ok(delivery.attemptLog.every(attempt => attempt.attemptedAt instanceof Date && attempt.durationMs >= 0));
+    });
+
+    it('logs connection errors without a response status', async () => {
+      subscription.url = 'http://127.0.0.1:1/hooks';
+
+      await webhookService.publishLedgerEvent('credit.awarded', { userId: 'user123' });
+      const delivery = await waitForAttempts(deliveries, 1);
+
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.attemptLog[0].responseStatus, null);
+      assert.ok(delivery.attemptLog[0].error);
+    });
+
+    it('retries a failed delivery on request', async () => {
+      receiver.statuses.push(...Array(8).fill(500));
+
+      await webhookService.publishLedgerEvent('credit.awarded', { userId: 'user123' });
+      await waitForAttempts(deliveries, 1);
+      for (let attempt = 2; attempt <= 8; attempt++) {
+        makeDue(deliveries);
+        await webhookService.processDueDeliveries();
+      }
+
+      const [failed] = deliveries.values();
+      const retried = await webhookService.retryDelivery(failed._id);
+
+      assert.equal(retried.status, 'succeeded');
+      assert.equal(retried.attemptLog.length, 9);
+    });
+  });
+});